@@ -0,0 +1,146 @@
+import warn from './warn';
+
+/**
+ * The adapters that know how to hook into the different versions of the
+ * Next.js internals, ordered by preference. Each adapter has:
+ *
+ * - `name`, Name of the adapter.
+ * - `detect`, Checks if the required internals are available.
+ * - `hook`, Hooks the tracker into the internals.
+ * - `unhook`, Removes the hooks again.
+ * - `warning`, Optional message that is shown when the adapter is used.
+ *
+ * @type {Array}
+ * @private
+ */
+const adapters = [
+  {
+    name: 'emitter',
+
+    detect(next) {
+      return !!(next && next.emitter && next.router && next.router.events);
+    },
+
+    hook(measure, { emitter, router }) {
+      //
+      // The render flow of a Next based application based on the sequence of
+      // events found in the `client/*` folder of the next repository.
+      //
+      // 1. `routeChangeStart` router event is emitted.
+      // 2. Route information is requested, if this is not cached or cacheable:
+      //   - Fetch the component from the server using `document.createElement(script)`
+      //     if not previously cached.
+      //   - Execute `getInitialProps` on the component to fetch props/data for render.
+      // 3. `beforeHistoryChange` router event is emitted.
+      // 4. Browser `window.history` is updated.
+      // 5. Router properties such as `asPath` are updated.
+      // 6. Notify all router subscription of the change which triggers `next.render`
+      //   - `before-reactdom-render` next event is emitted.
+      //   - `after-reactdom-render` next event is emitted.
+      // 7. `routeChangeComplete` router event is emitted.
+      //
+      // When the navigation fails, or is cancelled, the `routeChangeError`
+      // router event is emitted instead.
+      //
+      router.events.on('routeChangeStart', measure.start);
+      emitter.on('before-reactdom-render', measure.before);
+      emitter.on('after-reactdom-render', measure.after);
+      router.events.on('routeChangeComplete', measure.complete);
+      router.events.on('routeChangeError', measure.error);
+
+      measure.emitter = emitter;
+      measure.router = router;
+    },
+
+    unhook(measure) {
+      const { emitter, router } = measure;
+
+      router.events.off('routeChangeStart', measure.start);
+      emitter.off('before-reactdom-render', measure.before);
+      emitter.off('after-reactdom-render', measure.after);
+      router.events.off('routeChangeComplete', measure.complete);
+      router.events.off('routeChangeError', measure.error);
+
+      measure.emitter = measure.router = null;
+    }
+  },
+  {
+    name: 'router',
+    warning: 'The Next.js render events are not available, render timing is estimated using the router events.',
+
+    detect(next) {
+      return !!(next && next.router && next.router.events);
+    },
+
+    hook(measure, { router }) {
+      //
+      // Without the render events the `beforeHistoryChange` event is the
+      // closest we get to the start of the render, as the route has been
+      // loaded and the router is about to update.
+      //
+      router.events.on('routeChangeStart', measure.start);
+      router.events.on('beforeHistoryChange', measure.before);
+      router.events.on('routeChangeComplete', measure.after);
+      router.events.on('routeChangeComplete', measure.complete);
+      router.events.on('routeChangeError', measure.error);
+
+      measure.router = router;
+    },
+
+    unhook(measure) {
+      const { router } = measure;
+
+      router.events.off('routeChangeStart', measure.start);
+      router.events.off('beforeHistoryChange', measure.before);
+      router.events.off('routeChangeComplete', measure.after);
+      router.events.off('routeChangeComplete', measure.complete);
+      router.events.off('routeChangeError', measure.error);
+
+      measure.router = null;
+    }
+  },
+  {
+    name: 'none',
+    warning: 'The Next.js router is not available, navigations will not be measured.',
+
+    detect() {
+      return true;
+    },
+
+    hook() {},
+    unhook() {}
+  }
+];
+
+/**
+ * Register a new adapter, it takes precedence over the existing adapters.
+ *
+ * @param {Object} adapter The adapter.
+ * @returns {Function} Removes the adapter again.
+ * @public
+ */
+export function register(adapter) {
+  adapters.unshift(adapter);
+
+  return () => {
+    const index = adapters.indexOf(adapter);
+    if (~index) adapters.splice(index, 1);
+  };
+}
+
+/**
+ * Select the best adapter for the Next.js internals that are available. When
+ * we have to fall back to a less accurate adapter, we warn about it once
+ * during development.
+ *
+ * @param {Object} next The `next` global.
+ * @returns {Object} The adapter.
+ * @public
+ */
+export function select(next) {
+  const adapter = adapters.filter((candidate) => candidate.detect(next))[0];
+
+  if (adapter.warning) warn(adapter.warning);
+
+  return adapter;
+}
@@ -0,0 +1,255 @@
+import PropTypes from 'prop-types';
+import Measure from './index';
+
+/**
+ * Checks if the click would open the link somewhere else than the current
+ * page, e.g. a new tab or window.
+ *
+ * @param {Event} e The click event.
+ * @returns {Boolean} Indication that the link opens elsewhere.
+ * @private
+ */
+function elsewhere(e) {
+  return !!(e.button || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey);
+}
+
+/**
+ * Measure RUM timing for Next.js applications that use the App Router. The
+ * App Router doesn't expose router events, so we follow the navigation flow
+ * ourselves:
+ *
+ * 1. A link is clicked, `history.pushState`/`replaceState` is called or the
+ *    `popstate` event fires, which starts the navigation.
+ * 2. The `pathname` or `search` props change, the new route is rendered.
+ * 3. The new route is painted, which completes the navigation.
+ *
+ * The `pathname` and `search` props are provided by the `next/navigation`
+ * hooks, see `app.js`.
+ *
+ * @class
+ * @public
+ */
+export default class AppRouterMeasure extends Measure {
+  constructor() {
+    super(...arguments);
+
+    this.history = null;              // Original and patched `history` methods.
+    this.frame = null;                // Reference to the animation frame.
+
+    ['navigate', 'click', 'popstate'].forEach(
+      (name) => (this[name] = this[name].bind(this))
+    );
+  }
+
+  /**
+   * The configuration of the tracker, we follow the navigation flow ourselves
+   * instead of using one of the adapters for the Next.js internals.
+   *
+   * @returns {Object} The options, see `createTracker`.
+   * @private
+   */
+  options() {
+    return {
+      ...super.options(),
+      adapter: {
+        name: 'app-router',
+        hook: () => this.hook(),
+        unhook: () => this.unhook()
+      },
+      path: () => {
+        //
+        // A navigation that is still settling is only reported once the
+        // next one starts, when the props already reflect the new route.
+        //
+        const navigation = this.tracker.navigation;
+
+        return navigation && !navigation.hard ? navigation.url : this.path();
+      }
+    };
+  }
+
+  /**
+   * Start listening for the events that start a navigation.
+   *
+   * @private
+   */
+  hook() {
+    const { history, document } = global;
+
+    if (history) {
+      this.history = {};
+
+      ['pushState', 'replaceState'].forEach((method) => {
+        const original = history[method];
+        const methods = this.history;
+        const hooked = () => this.history === methods;
+        const navigate = this.navigate;
+
+        history[method] = function patched(state, title, url) {
+          if (url && hooked()) navigate(url);
+
+          return original.apply(this, arguments);
+        };
+
+        methods[method] = { original, patched: history[method] };
+      });
+    }
+
+    if (document) document.addEventListener('click', this.click, true);
+    if (global.addEventListener) global.addEventListener('popstate', this.popstate);
+  }
+
+  /**
+   * Restore the `history` methods and remove our listeners.
+   *
+   * @private
+   */
+  unhook() {
+    const { history, document } = global;
+
+    //
+    // The App Router wraps the `history` methods after us, restoring them
+    // would remove its wrappers as well, so those are left in place. Our own
+    // wrapper stops navigating once we're unhooked.
+    //
+    if (this.history) {
+      Object.keys(this.history).forEach((method) => {
+        const { original, patched } = this.history[method];
+
+        if (history[method] === patched) history[method] = original;
+      });
+    }
+
+    if (document) document.removeEventListener('click', this.click, true);
+    if (global.removeEventListener) global.removeEventListener('popstate', this.popstate);
+
+    cancelAnimationFrame(this.frame);
+    this.history = this.frame = null;
+  }
+
+  /**
+   * The path of the page that we've navigated to.
+   *
+   * @returns {String} The path.
+   * @public
+   */
+  path() {
+    const { pathname, search } = this.props;
+
+    return search ? `${pathname}?${search}` : pathname;
+  }
+
+  /**
+   * The start of the navigation that is in progress. A navigation that has
+   * completed might still be held back while the network settles, but a new
+   * navigation can start.
+   *
+   * @returns {Object|Null} The `navigationStart` timing.
+   * @private
+   */
+  current() {
+    if (this.get('loadEventEnd')) return null;
+
+    return this.get('navigationStart') || null;
+  }
+
+  /**
+   * A navigation is about to happen, only start measuring when we are
+   * navigating to a different page, and are not already navigating to it.
+   * A clicked link will also update the `history`, so we will be called
+   * multiple times for the same navigation.
+   *
+   * @param {String} url The URL we're navigating to.
+   * @private
+   */
+  navigate(url) {
+    const { location } = global;
+    const target = new URL(url, location.href);
+
+    if (target.origin !== location.origin) return;
+
+    const path = target.pathname + target.search;
+    const current = this.current();
+
+    if (current && current.url === path) return;
+    if (!current && path === this.path()) return;
+
+    this.start(path);
+  }
+
+  /**
+   * Intercept clicks on links, these are the earliest indication that we're
+   * about to navigate.
+   *
+   * @param {Event} e The click event.
+   * @private
+   */
+  click(e) {
+    if (e.defaultPrevented || elsewhere(e)) return;
+
+    const link = e.target && e.target.closest && e.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    this.navigate(link.href);
+  }
+
+  /**
+   * The back and forward buttons have been used.
+   *
+   * @private
+   */
+  popstate() {
+    this.navigate(global.location.href);
+  }
+
+  /**
+   * The route is about to be committed to the DOM. When the navigation was
+   * started programmatically we might not have seen it yet, so it starts now.
+   *
+   * @param {Object} props The previous props.
+   * @returns {Null} No snapshot.
+   * @private
+   */
+  getSnapshotBeforeUpdate(props) {
+    if (props.pathname === this.props.pathname && props.search === this.props.search) return null;
+
+    if (!this.current()) this.start(this.path());
+    this.before();
+
+    return null;
+  }
+
+  /**
+   * The route has been rendered, complete the navigation once the browser
+   * has painted the changes.
+   *
+   * @param {Object} props The previous props.
+   * @private
+   */
+  componentDidUpdate(props) {
+    super.componentDidUpdate(props);
+    if (props.pathname === this.props.pathname && props.search === this.props.search) return;
+
+    const url = this.path();
+
+    this.after();
+
+    cancelAnimationFrame(this.frame);
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.complete(url);
+    });
+  }
+}
+
+/**
+ * Ensure that we've received the correct props.
+ *
+ * @type {Object}
+ * @private
+ */
+AppRouterMeasure.propTypes = {
+  ...Measure.propTypes,
+  pathname: PropTypes.string.isRequired,
+  search: PropTypes.string
+};
@@ -0,0 +1,26 @@
+'use client';
+
+import { usePathname, useSearchParams } from 'next/navigation';
+import AppRouterMeasure from './app-router';
+// eslint-disable-next-line no-unused-vars
+import React from 'react';
+
+/**
+ * Measure RUM timing for Next.js applications that use the App Router. It
+ * accepts the same props as the `<Measure>` component.
+ *
+ * @param {Object} props The props for the `<AppRouterMeasure>` component.
+ * @returns {Element} The measuring component.
+ * @public
+ */
+export default function Measure(props) {
+  const pathname = usePathname();
+  const search = useSearchParams();
+
+  return (
+    <AppRouterMeasure
+      { ...props }
+      pathname={ pathname }
+      search={ search ? search.toString() : '' } />
+  );
+}
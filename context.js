@@ -0,0 +1,211 @@
+import purrformance from './purrformance';
+import { uuid } from './navigations';
+import warn from './warn';
+
+/**
+ * The key in the `sessionStorage` where the state of the session is stored.
+ *
+ * @type {String}
+ * @private
+ */
+const key = 'next-rum:session';
+
+/**
+ * Interactions that happened within this amount of ms before the start of
+ * the navigation are considered its trigger.
+ *
+ * @type {Number}
+ * @private
+ */
+const recent = 1000;
+
+/**
+ * The providers of additional context.
+ *
+ * @type {Array}
+ * @private
+ */
+const providers = [];
+
+/**
+ * The state of the session when the `sessionStorage` is not available.
+ *
+ * @type {Object}
+ * @private
+ */
+let fallback = null;
+
+/**
+ * The last interaction that could trigger a navigation.
+ *
+ * @type {Object}
+ * @private
+ */
+let interaction = null;
+
+/**
+ * Amount of components that are listening for interactions.
+ *
+ * @type {Number}
+ * @private
+ */
+let listening = 0;
+
+/**
+ * Register a new context provider. It receives the navigation (its `id`,
+ * `url` and `hard` flag) and returns the context that should be added.
+ *
+ * @param {Function} provider The provider.
+ * @returns {Function} Removes the provider again.
+ * @public
+ */
+export function register(provider) {
+  providers.push(provider);
+
+  return () => {
+    const index = providers.indexOf(provider);
+    if (~index) providers.splice(index, 1);
+  };
+}
+
+/**
+ * Remember the interaction, so we know what triggered the navigation.
+ *
+ * @param {Event} e The `click` or `popstate` event.
+ * @private
+ */
+function interacted(e) {
+  const target = e.target;
+
+  if (e.type === 'click' && !(target && target.closest && target.closest('a[href]'))) return;
+
+  interaction = { type: e.type, time: Date.now() };
+}
+
+/**
+ * Start listening for the interactions that trigger navigations. The
+ * listeners are shared, even when multiple components are listening.
+ *
+ * @returns {Function} Stops listening.
+ * @public
+ */
+export function listen() {
+  const document = global.document;
+
+  if (!listening++) {
+    if (document) document.addEventListener('click', interacted, true);
+    if (global.addEventListener) global.addEventListener('popstate', interacted);
+  }
+
+  let stopped = false;
+
+  return () => {
+    if (stopped) return;
+
+    stopped = true;
+    if (--listening) return;
+
+    if (document) document.removeEventListener('click', interacted, true);
+    if (global.removeEventListener) global.removeEventListener('popstate', interacted);
+
+    interaction = null;
+  };
+}
+
+/**
+ * What triggered the navigation. The initial page load uses the type of the
+ * navigation timing, soft navigations are triggered by a `link`, the
+ * browser's `back_forward` buttons, or a `script`.
+ *
+ * @param {Object} navigation The navigation.
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @returns {String} The trigger.
+ * @private
+ */
+function trigger({ hard, start }, api) {
+  if (hard) return (purrformance.navigation(api) || {}).type || 'navigate';
+  if (!interaction || start - interaction.time > recent) return 'script';
+
+  return interaction.type === 'popstate' ? 'back_forward' : 'link';
+}
+
+/**
+ * Count the navigation as part of the session, the state of the session is
+ * persisted in the `sessionStorage` so it survives page loads.
+ *
+ * @param {String} route The route of the navigation.
+ * @returns {Object} The `id` and `sequence` of the session, and its
+ * `previous` route.
+ * @private
+ */
+function visit(route) {
+  let state;
+
+  try {
+    state = JSON.parse(global.sessionStorage.getItem(key));
+  } catch (e) {
+    state = fallback;
+  }
+
+  if (!state || !state.id) state = { id: uuid(), sequence: 0, route: null };
+
+  const previous = state.route;
+
+  fallback = { id: state.id, sequence: state.sequence + 1, route };
+
+  try {
+    global.sessionStorage.setItem(key, JSON.stringify(fallback));
+  } catch (e) {
+    //
+    // The `sessionStorage` is disabled, or not available, so the session
+    // only lasts for the lifetime of the page.
+    //
+  }
+
+  return { id: fallback.id, sequence: fallback.sequence, previous };
+}
+
+/**
+ * Gather the context of a navigation: the session, the device and connection
+ * of the user, and the context of the registered providers.
+ *
+ * @param {Object} navigation The navigation.
+ * @param {String} route The route of the navigation.
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @returns {Object} The context.
+ * @public
+ */
+export function enrich(navigation, route, api = purrformance) {
+  const nav = global.navigator || {};
+  const connection = nav.connection;
+  const session = visit(route);
+  const context = {
+    session: session.id,
+    sequence: session.sequence,
+    previous: session.previous,
+    trigger: trigger(navigation, api),
+    connection: connection ? {
+      effectiveType: connection.effectiveType,
+      rtt: connection.rtt,
+      saveData: !!connection.saveData
+    } : null,
+    deviceMemory: nav.deviceMemory || null,
+    hardwareConcurrency: nav.hardwareConcurrency || null,
+    viewport: {
+      width: global.innerWidth || 0,
+      height: global.innerHeight || 0
+    }
+  };
+
+  const { id, url, hard } = navigation;
+
+  providers.forEach((provider) => {
+    try {
+      Object.assign(context, provider({ id, url, hard }));
+    } catch (e) {
+      warn(`A context provider failed: ${e.message}`);
+    }
+  });
+
+  return context;
+}
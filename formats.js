@@ -0,0 +1,124 @@
+import { navigation } from './purrformance';
+
+/**
+ * The Level 2 names of our RUM timing fields.
+ *
+ * @type {Object}
+ * @private
+ */
+const fields = {
+  fetchStart: 'fetchStart',
+  domainLookupStart: 'domainLookupStart',
+  domainLookupEnd: 'domainLookupEnd',
+  connectStart: 'connectStart',
+  connectEnd: 'connectEnd',
+  requestStart: 'requestStart',
+  responseStart: 'responseStart',
+  responseEnd: 'responseEnd',
+  domInteractive: 'domInteractive',
+  domContentLoaded: 'domContentLoadedEventStart',
+  domComplete: 'domComplete',
+  loadEventStart: 'loadEventStart',
+  loadEventEnd: 'loadEventEnd'
+};
+
+/**
+ * The time it took to render the page, preferably as reported by Next.js.
+ *
+ * @param {Object} rum The RUM timing.
+ * @returns {Number} The render time in ms.
+ * @private
+ */
+function render(rum) {
+  if (typeof rum.renderDuration === 'number') return rum.renderDuration;
+  if (typeof rum.hydrationDuration === 'number') return rum.hydrationDuration;
+  if (!rum.domLoading || !rum.domContentLoaded) return 0;
+
+  return Math.max(0, rum.domContentLoaded - rum.domLoading);
+}
+
+/**
+ * The Navigation Timing Level 1 format, the RUM timing is used as-is with all
+ * values as EPOCH.
+ *
+ * @param {Object} rum The RUM timing.
+ * @returns {Object} The timing.
+ * @public
+ */
+export function l1(rum) {
+  return rum;
+}
+
+/**
+ * The Navigation Timing Level 2 format, all values are in ms relative to the
+ * `startTime` of the navigation, and include the derived metrics:
+ *
+ * - `ttfb`, Time until the first byte of the response was received.
+ * - `dataFetch`, Time it took to fetch the response.
+ * - `render`, Time it took to render, or hydrate, the page.
+ * - `duration`, Total duration of the navigation.
+ *
+ * @param {Object} rum The RUM timing.
+ * @param {Object} context The navigation.
+ * @param {Boolean} context.hard Indication that it's the initial page load.
+ * @param {Array} context.entries The resource entries of the navigation.
+ * @param {Number} context.origin EPOCH of the `timeOrigin`.
+ * @param {Function} context.api Interacts with the performance API, see `bind`.
+ * @returns {Object} The timing.
+ * @public
+ */
+export function l2(rum, { hard, entries = [], origin, api }) {
+  const start = rum.navigationStart;
+  const relative = (value) => (value ? Math.max(0, value - start) : 0);
+  const entry = (hard && navigation(api)) || {};
+  const timing = {
+    startTime: start - origin,
+    type: hard ? entry.type || 'navigate' : 'soft'
+  };
+
+  Object.keys(fields).forEach((name) => {
+    timing[fields[name]] = relative(rum[name]);
+  });
+
+  if (typeof rum.hydrationStart === 'number') {
+    timing.hydrationStart = relative(rum.hydrationStart);
+    timing.hydrationDuration = rum.hydrationDuration;
+  }
+
+  //
+  // The bytes that were transferred for the navigation, for the initial
+  // page load this includes the document itself.
+  //
+  timing.transferSize = entries.reduce(
+    (size, resource) => size + (resource.transferSize || 0),
+    entry.transferSize || 0
+  );
+
+  timing.ttfb = timing.responseStart;
+  timing.dataFetch = Math.max(0, timing.responseEnd - timing.requestStart);
+  timing.render = render(rum);
+  timing.duration = timing.loadEventEnd;
+
+  return timing;
+}
+
+/**
+ * The supported formats.
+ *
+ * @type {Object}
+ * @private
+ */
+const formats = { l1, l2 };
+
+/**
+ * Format the RUM timing of a navigation.
+ *
+ * @param {String} name Name of the format, `l1` or `l2`.
+ * @param {Object} rum The RUM timing.
+ * @param {Object} context The navigation, see `l2`.
+ * @returns {Object} The timing.
+ * @public
+ */
+export default function format(name, rum, context) {
+  return (formats[name] || l1)(rum, context);
+}
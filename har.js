@@ -0,0 +1,223 @@
+import warn from './warn';
+
+/**
+ * The HTTP versions of the ALPN ids in `nextHopProtocol`.
+ *
+ * @type {Object}
+ * @private
+ */
+const protocols = {
+  'http/0.9': 'HTTP/0.9',
+  'http/1.0': 'HTTP/1.0',
+  'http/1.1': 'HTTP/1.1',
+  'h2': 'HTTP/2',
+  'h2c': 'HTTP/2',
+  'h3': 'HTTP/3'
+};
+
+/**
+ * The time between two marks of a resource entry, or -1 when one of them is
+ * not available. The entries are normalized to EPOCH, so the marks that the
+ * browser did not expose (0) ended up as the `timeOrigin`, before the start
+ * of the resource.
+ *
+ * @param {Object} entry The resource entry.
+ * @param {String} from Name of the first mark.
+ * @param {String} to Name of the second mark.
+ * @returns {Number} The time in ms.
+ * @private
+ */
+function between(entry, from, to) {
+  const known = (name) => typeof entry[name] === 'number' && entry[name] >= entry.startTime;
+
+  if (!known(from) || !known(to)) return -1;
+
+  return Math.max(0, entry[to] - entry[from]);
+}
+
+/**
+ * The timing phases of a resource entry, as HAR `timings`. Cross-origin
+ * resources without `Timing-Allow-Origin` only expose their start and end, so
+ * their entire duration ends up as `receive`.
+ *
+ * @param {Object} entry The resource entry.
+ * @returns {Object} The timings, in ms.
+ * @private
+ */
+function timings(entry) {
+  const start = ['domainLookupStart', 'connectStart', 'requestStart']
+    .filter((name) => between(entry, 'startTime', name) !== -1)[0];
+
+  const wait = between(entry, 'requestStart', 'responseStart');
+  const receive = wait === -1
+    ? between(entry, 'startTime', 'responseEnd')
+    : between(entry, 'responseStart', 'responseEnd');
+
+  return {
+    blocked: start ? between(entry, 'startTime', start) : -1,
+    dns: between(entry, 'domainLookupStart', 'domainLookupEnd'),
+    connect: between(entry, 'connectStart', 'connectEnd'),
+    ssl: between(entry, 'secureConnectionStart', 'connectEnd'),
+    send: 0,
+    wait: Math.max(0, wait),
+    receive: Math.max(0, receive)
+  };
+}
+
+/**
+ * Convert a resource entry to a HAR entry.
+ *
+ * @param {Object} entry The resource entry, normalized to EPOCH.
+ * @param {String} pageref The id of the page.
+ * @returns {Object} The HAR entry.
+ * @private
+ */
+function convert(entry, pageref) {
+  const phases = timings(entry);
+  const httpVersion = protocols[entry.nextHopProtocol] || entry.nextHopProtocol || '';
+
+  //
+  // The `ssl` time is included in the `connect` time, so it's not part of
+  // the total time of the entry.
+  //
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, phase) => sum + Math.max(0, phases[phase]), 0);
+
+  return {
+    pageref,
+    startedDateTime: new Date(entry.startTime).toISOString(),
+    time,
+    request: {
+      method: 'GET',
+      url: entry.name,
+      httpVersion,
+      cookies: [],
+      headers: [],
+      queryString: [],
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: entry.responseStatus || 0,
+      statusText: '',
+      httpVersion,
+      cookies: [],
+      headers: [],
+      content: {
+        size: entry.decodedBodySize || 0,
+        mimeType: ''
+      },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: entry.encodedBodySize || -1,
+      _transferSize: entry.transferSize || 0
+    },
+    cache: {},
+    timings: phases,
+    _initiatorType: entry.initiatorType || null
+  };
+}
+
+/**
+ * Convert navigations to a HAR 1.2 document, so they can be opened in the
+ * waterfall of the browser devtools, or other HAR viewers. Each navigation is
+ * a page, keyed by the `id` of the navigation.
+ *
+ * @param {Object|Array} payloads The payload, or payloads, of the navigations.
+ * Their timing has to be in the `l1` format.
+ * @returns {Object} The HAR document.
+ * @public
+ */
+export default function har(payloads) {
+  const log = {
+    version: '1.2',
+    creator: { name: 'next-rum', version: '' },
+    pages: [],
+    entries: []
+  };
+
+  [].concat(payloads || []).forEach((payload) => {
+    const rum = payload.rum || {};
+    const start = rum.navigationStart;
+    const relative = (value) => (value ? Math.max(0, value - start) : -1);
+
+    if (!start) return warn('The HAR export requires the timing in the l1 format');
+
+    log.pages.push({
+      startedDateTime: new Date(start).toISOString(),
+      id: payload.id,
+      title: payload.path,
+      pageTimings: {
+        onContentLoad: relative(rum.domContentLoaded),
+        onLoad: relative(rum.loadEventEnd)
+      },
+      _route: payload.route || null,
+      _hard: !!payload.hard,
+      _status: payload.status || null
+    });
+
+    (payload.entries || []).forEach((entry) => log.entries.push(convert(entry, payload.id)));
+  });
+
+  return { log };
+}
+
+/**
+ * Download the HAR document of navigations, e.g. the `last` payload. This is
+ * only available during development.
+ *
+ * @param {Object|Array} payloads The payload, or payloads, of the navigations.
+ * @param {String} filename Name of the file.
+ * @returns {Boolean} Indication that the download started.
+ * @public
+ */
+export function download(payloads, filename = 'next-rum.har') {
+  const document = global.document;
+  const URL = global.URL;
+
+  if (
+    typeof process === 'undefined'
+    || process.env.NODE_ENV === 'production' // eslint-disable-line no-process-env
+    || !document || !global.Blob || !URL || typeof URL.createObjectURL !== 'function'
+  ) return false;
+
+  const blob = new global.Blob([JSON.stringify(har(payloads), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  const href = URL.createObjectURL(blob);
+
+  link.href = href;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  //
+  // The download starts asynchronously, revoking the URL right away cancels
+  // it in some browsers.
+  //
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+
+  return true;
+}
+
+/**
+ * A plugin, see `plugins.js`, that attaches the HAR document of the
+ * navigation to its payload as `har`.
+ *
+ * @param {Function} when Decides which payloads get a HAR document, e.g. only
+ * the slow ones. By default all payloads.
+ * @returns {Object} The plugin.
+ * @public
+ */
+export function attach(when) {
+  return {
+    name: 'har',
+
+    transform(payload) {
+      if (typeof when === 'function' && !when(payload)) return payload;
+
+      return { ...payload, har: har(payload) };
+    }
+  };
+}
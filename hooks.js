@@ -0,0 +1,42 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+
+/**
+ * API that is used when there is no `<Measure>` component rendered higher up
+ * in the tree, so components that use our hooks can still be rendered in
+ * isolation, e.g. in tests or Storybook.
+ *
+ * @type {Object}
+ * @private
+ */
+const noop = {
+  last: null,
+  subscribe: () => () => {},
+  attach: () => {},
+  set: () => {},
+  get: () => {},
+  mark: () => {}
+};
+
+/**
+ * The context that is provided by the `<Measure>` component.
+ *
+ * @type {Object}
+ * @public
+ */
+export const RUMContext = createContext(noop);
+
+/**
+ * Access the RUM API from a function component. The component re-renders
+ * when a new payload has been assembled.
+ *
+ * @returns {Object} The API, and the `last` payload that was assembled.
+ * @public
+ */
+export function useRUM() {
+  const api = useContext(RUMContext);
+  const [last, setLast] = useState(api.last);
+
+  useEffect(() => api.subscribe(setLast), [api]);
+
+  return { ...api, last };
+}
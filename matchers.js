@@ -0,0 +1,155 @@
+/**
+ * The page bundles of Next.js versions before 9 were served from this path.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const legacy = /\/_next\/-\/page\/.+\.js$/;
+
+/**
+ * The page bundles of modern Next.js versions.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const chunks = /\/_next\/static\/chunks\/pages\/.+\.js$/;
+
+/**
+ * The data requests for `getServerSideProps` and `getInitialProps`, which
+ * are served as `/_next/data/<buildId>/<path>.json`.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const data = /\/_next\/data\/[^/]+(\/.*)\.json$/;
+
+/**
+ * Extract the decoded pathname of a URL.
+ *
+ * @param {String} url The URL.
+ * @returns {String} The pathname.
+ * @private
+ */
+function pathname(url) {
+  try {
+    return decodeURI(new URL(url, 'http://localhost').pathname);
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Escape a string so it can be used as literal in a RegExp.
+ *
+ * @param {String} str The string.
+ * @returns {String} The escaped string.
+ * @private
+ */
+function escape(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Next.js names the bundles and data requests of the root page `index`.
+ *
+ * @param {String} path The path of the page.
+ * @returns {String} The name that Next.js uses.
+ * @private
+ */
+function index(path) {
+  return path === '/' ? '/index' : path;
+}
+
+/**
+ * Read the JavaScript files of a route from the build manifest.
+ *
+ * @param {String} route The route, e.g. `/account/[id]`.
+ * @returns {Array|Null} The files, or null when there is no manifest.
+ * @public
+ */
+export function manifest(route) {
+  const build = global.__BUILD_MANIFEST;
+  const files = route && build && build[route];
+
+  if (!Array.isArray(files)) return null;
+
+  return files.filter((file) => /\.js$/.test(file)).map((file) => pathname(`/_next/${file}`));
+}
+
+/**
+ * The default matchers, they receive the resource entry and the context
+ * of the navigation, the `path` and `route` of the page.
+ *
+ * @type {Object}
+ * @public
+ */
+export const defaults = {
+  /**
+   * Find the bundle that contains the page component. The build manifest
+   * knows exactly which files belong to the route, so we prefer that.
+   *
+   * @param {Object} entry The resource entry.
+   * @param {Object} context The navigation.
+   * @returns {Boolean} Indication if the entry is the page bundle.
+   * @public
+   */
+  page(entry, { route }) {
+    const name = pathname(entry.name);
+    const files = manifest(route);
+
+    if (files) {
+      return files.some((file) => /\/pages\//.test(file) && file === name);
+    }
+
+    if (legacy.test(name)) return true;
+    if (!route) return chunks.test(name);
+
+    return new RegExp(`/_next/static/chunks/pages${escape(index(route))}(-[^/]+)?\\.js$`).test(name);
+  },
+
+  /**
+   * Find the request that fetched the data of the page, other pages their
+   * data might be prefetched during the navigation, so the path needs to
+   * match.
+   *
+   * @param {Object} entry The resource entry.
+   * @param {Object} context The navigation.
+   * @returns {Boolean} Indication if the entry is the data request.
+   * @public
+   */
+  data(entry, { path }) {
+    const match = data.exec(pathname(entry.name));
+
+    if (!match) return false;
+    if (!path) return true;
+
+    return match[1] === index(pathname(path));
+  }
+};
+
+/**
+ * Turn a matcher into a function that tests a resource entry. A matcher is
+ * either a RegExp that is tested against the name of the entry, a function
+ * that receives the entry and the context, or an array of matchers.
+ *
+ * @param {RegExp|Function|Array} matcher The matcher.
+ * @param {Object} context The `path` and `route` of the navigation.
+ * @returns {Function} Returns true when the entry matches.
+ * @public
+ */
+export function compile(matcher, context) {
+  if (Array.isArray(matcher)) {
+    const compiled = matcher.map((item) => compile(item, context));
+
+    return (entry) => compiled.some((fn) => fn(entry));
+  }
+
+  if (typeof matcher === 'function') {
+    return (entry) => !!matcher(entry, context);
+  }
+
+  return (entry) => {
+    matcher.lastIndex = 0;
+    return matcher.test(entry.name);
+  };
+}
@@ -0,0 +1,238 @@
+import { observe, supports } from './purrformance';
+import { find } from './navigations';
+
+/**
+ * Tasks that take longer than this amount of ms block the main thread, only
+ * the time over the threshold counts as blocking time.
+ *
+ * @type {Number}
+ * @private
+ */
+const threshold = 50;
+
+/**
+ * Maximum amount of scripts that are attributed in the summary.
+ *
+ * @type {Number}
+ * @private
+ */
+const attributions = 5;
+
+/**
+ * Add a blocking task, or frame, to the totals.
+ *
+ * @param {Object} totals The `count`, `tbt` and `longest` task so far.
+ * @param {Number} duration Duration of the task in ms.
+ * @param {Number} blocked The part of the duration that blocked the main thread.
+ * @returns {Object} The updated totals.
+ * @private
+ */
+function block(totals, duration, blocked) {
+  const memo = totals || { count: 0, tbt: 0, longest: 0 };
+
+  memo.count++;
+  memo.tbt += Math.max(0, blocked);
+  memo.longest = Math.max(memo.longest, duration);
+
+  return memo;
+}
+
+/**
+ * The entry types that we observe, and how their entries are added to the
+ * `metrics` of the navigation they belong to. All timing values are in ms
+ * relative to the start of the navigation.
+ *
+ * @type {Object}
+ * @private
+ */
+const handlers = {
+  //
+  // Each new entry is a better candidate for the largest contentful paint.
+  //
+  'largest-contentful-paint': (metrics, entry, relative) => {
+    metrics.lcp = relative;
+  },
+
+  //
+  // Layout shifts that happen right after user input are expected, so they
+  // do not count towards the cumulative layout shift.
+  //
+  'layout-shift': (metrics, entry) => {
+    if (entry.hadRecentInput) return;
+
+    metrics.cls = (metrics.cls || 0) + entry.value;
+  },
+
+  //
+  // Only the worst interaction is of interest for the interaction to next
+  // paint, the entries without interactionId are not part of an interaction.
+  //
+  'event': (metrics, entry) => {
+    if (!entry.interactionId) return;
+
+    metrics.inp = Math.max(metrics.inp || 0, entry.duration);
+  },
+
+  'first-input': (metrics, entry) => {
+    metrics.inp = Math.max(metrics.inp || 0, entry.duration);
+  },
+
+  'paint': (metrics, entry, relative) => {
+    if (entry.name !== 'first-contentful-paint') return;
+
+    metrics.fcp = relative;
+  },
+
+  'longtask': (metrics, entry) => {
+    metrics.tasks = block(metrics.tasks, entry.duration, entry.duration - threshold);
+  },
+
+  //
+  // Long animation frames tell us which scripts ran during the frame, the
+  // time is accumulated per script so the worst offenders stand out.
+  //
+  'long-animation-frame': (metrics, entry) => {
+    const blocked = typeof entry.blockingDuration === 'number'
+      ? entry.blockingDuration
+      : entry.duration - threshold;
+
+    metrics.frames = block(metrics.frames, entry.duration, blocked);
+    metrics.scripts = metrics.scripts || {};
+
+    (entry.scripts || []).forEach((script) => {
+      const url = script.sourceURL || '';
+      const fn = script.sourceFunctionName || '';
+      const key = `${url}#${fn}`;
+      const memo = metrics.scripts[key] || (metrics.scripts[key] = {
+        url,
+        fn,
+        invoker: script.invoker || '',
+        count: 0,
+        duration: 0
+      });
+
+      memo.count++;
+      memo.duration += script.duration || 0;
+    });
+  }
+};
+
+/**
+ * Options for the observers of the given entry types.
+ *
+ * @type {Object}
+ * @private
+ */
+const options = {
+  event: { durationThreshold: 16 }
+};
+
+/**
+ * Amount of components that are tracking the metrics.
+ *
+ * @type {Number}
+ * @private
+ */
+let tracking = 0;
+
+/**
+ * Functions that stop the observers.
+ *
+ * @type {Array}
+ * @private
+ */
+let observers = [];
+
+/**
+ * Add the entries to the metrics of the navigation that was active when the
+ * entry started. The navigation knows its own `timeOrigin`, so the entries are
+ * matched on the clock of the tracker that started it.
+ *
+ * @param {String} type The entry type.
+ * @param {Array} entries The entries.
+ * @private
+ */
+function attribute(type, entries) {
+  entries.forEach((entry) => {
+    const navigation = find(entry.startTime);
+    if (!navigation) return;
+
+    const relative = navigation.origin + entry.startTime - navigation.start;
+
+    handlers[type](navigation.metrics, entry, relative);
+  });
+}
+
+/**
+ * Start tracking the Core Web Vitals (LCP, CLS, INP and FCP) and the blocking
+ * of the main thread for each navigation. The observers are shared, so the
+ * metrics are only gathered once even when multiple components are tracking.
+ *
+ * @returns {Function} Stops tracking.
+ * @public
+ */
+export function track() {
+  if (!tracking++) {
+    observers = Object.keys(handlers).map((type) => {
+      return observe(type, (entries) => attribute(type, entries), options[type]);
+    });
+  }
+
+  let stopped = false;
+
+  return () => {
+    if (stopped) return;
+
+    stopped = true;
+    if (--tracking) return;
+
+    observers.forEach((disconnect) => disconnect());
+    observers = [];
+  };
+}
+
+/**
+ * Summarize the Core Web Vitals of a navigation, metrics that could not be
+ * measured are `null`.
+ *
+ * @param {Object} navigation The navigation.
+ * @returns {Object} The `lcp`, `cls`, `inp` and `fcp` metrics.
+ * @public
+ */
+export function summarize({ metrics }) {
+  return ['lcp', 'cls', 'inp', 'fcp'].reduce((memo, name) => {
+    memo[name] = typeof metrics[name] === 'number' ? metrics[name] : null;
+    return memo;
+  }, {});
+}
+
+/**
+ * Summarize how much the main thread was blocked during a navigation. The
+ * `longtask` entries are preferred, the `long-animation-frame` entries are
+ * used when long tasks are not supported and provide the attribution of the
+ * scripts that ran. Metrics that could not be measured are `null`.
+ *
+ * @param {Object} navigation The navigation.
+ * @returns {Object} The `tbt`, `longest` task, `count` of tasks and `scripts`.
+ * @public
+ */
+export function blocking({ metrics }) {
+  const empty = { count: 0, tbt: 0, longest: 0 };
+  let totals = null;
+
+  if (supports('longtask')) totals = metrics.tasks || empty;
+  else if (supports('long-animation-frame')) totals = metrics.frames || empty;
+
+  const scripts = Object.keys(metrics.scripts || {})
+    .map((key) => metrics.scripts[key])
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, attributions)
+    .map((script) => ({ ...script }));
+
+  return {
+    tbt: totals ? totals.tbt : null,
+    longest: totals ? totals.longest : null,
+    count: totals ? totals.count : null,
+    scripts
+  };
+}
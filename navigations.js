@@ -0,0 +1,150 @@
+import { timeOrigin } from './purrformance';
+import warn from './warn';
+
+/**
+ * The most recent navigations, so metrics that arrive late can still be
+ * matched with the navigation they belong to.
+ *
+ * @type {Array}
+ * @private
+ */
+const history = [];
+
+/**
+ * Maximum number of navigations that we keep around.
+ *
+ * @type {Number}
+ * @private
+ */
+const limit = 10;
+
+/**
+ * Metrics are timed by the performance API, which can start slightly before
+ * we receive the `routeChangeStart` event, so we allow some leeway (in ms)
+ * when matching them.
+ *
+ * @type {Number}
+ * @private
+ */
+const leeway = 50;
+
+/**
+ * The `<Measure>` instance that is allowed to measure navigations.
+ *
+ * @type {Object}
+ * @private
+ */
+let owner = null;
+
+/**
+ * Indication that the initial page load has been measured.
+ *
+ * @type {Boolean}
+ * @private
+ */
+let landed = false;
+
+/**
+ * Generate a unique id, e.g. for a navigation.
+ *
+ * @returns {String} The id.
+ * @public
+ */
+export function uuid() {
+  const crypto = global.crypto;
+
+  if (crypto && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Start a new navigation.
+ *
+ * @param {String} url The URL we're navigating to.
+ * @param {Object} options Configuration.
+ * @param {Number} options.start EPOCH of the start of the navigation.
+ * @param {Number} options.origin EPOCH of the `timeOrigin`, on the same clock
+ * as the `start`, so the high resolution times of the metrics can be matched.
+ * @param {Boolean} options.hard Indication that it's the initial page load.
+ * @returns {Object} The navigation, with a unique `id`, and its own `vitals`
+ * reported by Next.js, `metrics` gathered by the PerformanceObserver and the
+ * `milestones` marked by the application.
+ * @public
+ */
+export function begin(url, { start = Date.now(), origin = timeOrigin(), hard = false } = {}) {
+  const navigation = {
+    id: uuid(),
+    metrics: {},
+    vitals: {},
+    milestones: {},
+    start,
+    origin,
+    hard,
+    url
+  };
+
+  history.push(navigation);
+  if (history.length > limit) history.shift();
+
+  return navigation;
+}
+
+/**
+ * Find the navigation that was active at a given time. The time is relative
+ * to the `timeOrigin` as the navigations might use a different clock than the
+ * performance API.
+ *
+ * @param {Number} time High resolution time of the moment we're interested in.
+ * @returns {Object|Undefined} The navigation.
+ * @public
+ */
+export function find(time) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const { start, origin } = history[i];
+
+    if (start - origin <= time + leeway) return history[i];
+  }
+}
+
+/**
+ * The initial page load is rendered by the server, it can only be measured
+ * once, no matter how often the component is mounted.
+ *
+ * @returns {Boolean} Indication if the initial page load should be measured.
+ * @public
+ */
+export function initial() {
+  if (landed) return false;
+
+  landed = true;
+  return true;
+}
+
+/**
+ * Claim the right to measure navigations. Only a single `<Measure>` instance
+ * can measure, otherwise each navigation would be reported multiple times.
+ *
+ * @param {Object} instance The instance that wants to measure.
+ * @returns {Boolean} Indication if the instance is allowed to measure.
+ * @public
+ */
+export function claim(instance) {
+  if (!owner) owner = instance;
+  if (owner === instance) return true;
+
+  warn('Multiple instances are mounted, only the first instance measures the navigations.');
+  return false;
+}
+
+/**
+ * Release the claim of an instance, so another instance can measure.
+ *
+ * @param {Object} instance The instance that is unmounted.
+ * @public
+ */
+export function release(instance) {
+  if (owner === instance) owner = null;
+}
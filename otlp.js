@@ -0,0 +1,294 @@
+import { quota, bytes } from './reporter';
+import warn from './warn';
+
+/**
+ * The kinds of spans, as defined by OpenTelemetry.
+ *
+ * @type {Object}
+ * @private
+ */
+const kinds = {
+  internal: 1,
+  client: 3
+};
+
+/**
+ * Generate a random id of hexadecimal characters.
+ *
+ * @param {Number} length Amount of characters.
+ * @returns {String} The id.
+ * @private
+ */
+function random(length) {
+  let id = '';
+
+  while (id.length < length) {
+    id += Math.random().toString(16).slice(2);
+  }
+
+  return id.slice(0, length);
+}
+
+/**
+ * The id of the trace, our navigation ids are UUIDs so they are reused
+ * as trace id when possible, which makes it easy to find the trace.
+ *
+ * @param {String} id The id of the navigation.
+ * @returns {String} The trace id, 32 hexadecimal characters.
+ * @private
+ */
+function trace(id) {
+  const hex = String(id).replace(/-/g, '').toLowerCase();
+
+  return /^[0-9a-f]{32}$/.test(hex) ? hex : random(32);
+}
+
+/**
+ * Convert EPOCH in ms, with sub-ms precision, to a string of ns. The ns are
+ * too big for a Number, so the sub-ms part is added as string.
+ *
+ * @param {Number} ms EPOCH in ms.
+ * @returns {String} EPOCH in ns.
+ * @private
+ */
+function nanos(ms) {
+  const whole = Math.floor(ms);
+  const fraction = Math.min(999999, Math.round((ms - whole) * 1e6));
+
+  return String(whole) + `000000${fraction}`.slice(-6);
+}
+
+/**
+ * Convert the attributes to their OTLP/JSON representation, attributes
+ * without value are left out.
+ *
+ * @param {Object} values The attributes.
+ * @returns {Array} The key/value pairs.
+ * @private
+ */
+function attributes(values) {
+  return Object.keys(values).filter((key) => {
+    const value = values[key];
+
+    return value !== null && typeof value !== 'undefined' && value !== '';
+  }).map((key) => {
+    const value = values[key];
+
+    if (typeof value === 'boolean') return { key, value: { boolValue: value }};
+    if (typeof value !== 'number') return { key, value: { stringValue: String(value) }};
+    if (Math.floor(value) === value) return { key, value: { intValue: String(value) }};
+
+    return { key, value: { doubleValue: value }};
+  });
+}
+
+/**
+ * The `url.path` and `url.query` attributes of a path, the fragment is never
+ * send to the server so it's left out.
+ *
+ * @param {String} path The path, with its query string.
+ * @returns {Object} The attributes.
+ * @private
+ */
+function location(path) {
+  const url = String(path || '').split('#')[0];
+  const index = url.indexOf('?');
+
+  if (!~index) return { 'url.path': url };
+
+  return { 'url.path': url.slice(0, index), 'url.query': url.slice(index + 1) };
+}
+
+/**
+ * Create a span.
+ *
+ * @param {Object} span The `name`, `kind`, `start`, `end`, `attrs` and `status`
+ * of the span.
+ * @param {String} traceId The id of the trace.
+ * @param {String} parentSpanId The id of the parent span.
+ * @returns {Object} The span.
+ * @private
+ */
+function create({ name, kind = kinds.internal, start, end, attrs = {}, status }, traceId, parentSpanId) {
+  const span = {
+    traceId,
+    spanId: random(16),
+    name,
+    kind,
+    startTimeUnixNano: nanos(start),
+    endTimeUnixNano: nanos(Math.max(start, end)),
+    attributes: attributes(attrs),
+    status: status || { code: 0 }
+  };
+
+  if (parentSpanId) span.parentSpanId = parentSpanId;
+
+  return span;
+}
+
+/**
+ * The child spans of the navigation: the data fetch, the render phase and
+ * each resource. Phases that are unknown are left out.
+ *
+ * @param {Object} payload The payload.
+ * @returns {Array} The spans, without ids.
+ * @private
+ */
+function phases({ rum, entries = [], path }) {
+  const children = [];
+
+  if (rum.requestStart && rum.responseEnd) {
+    children.push({
+      name: 'fetch',
+      kind: kinds.client,
+      start: rum.requestStart,
+      end: rum.responseEnd,
+      attrs: location(path)
+    });
+  }
+
+  if (rum.domLoading && rum.domContentLoaded) {
+    children.push({ name: 'render', start: rum.domLoading, end: rum.domContentLoaded });
+  }
+
+  entries.forEach((entry) => {
+    if (!entry.startTime || !entry.responseEnd) return;
+
+    children.push({
+      name: 'resource',
+      kind: kinds.client,
+      start: entry.startTime,
+      end: entry.responseEnd,
+      attrs: {
+        'url.full': entry.name,
+        'http.response.body.size': entry.encodedBodySize,
+        'next_rum.resource.initiator_type': entry.initiatorType,
+        'next_rum.resource.transfer_size': entry.transferSize
+      }
+    });
+  });
+
+  return children;
+}
+
+/**
+ * Turn the payload of a navigation into spans. The navigation is the root
+ * span, with child spans for the data fetch, the render phase and each
+ * resource.
+ *
+ * @param {Object} payload The payload, its timing has to be in the `l1` format.
+ * @returns {Array} The spans, or an empty array when the timing is unknown.
+ * @public
+ */
+export function spans(payload) {
+  const rum = payload.rum || {};
+  const vitals = payload.vitals || {};
+  const error = payload.error;
+  const start = rum.navigationStart;
+
+  if (!start) return [];
+
+  const traceId = trace(payload.id);
+  const root = create({
+    name: payload.hard ? 'documentLoad' : 'navigation',
+    start,
+    end: rum.loadEventEnd || Math.max(start, rum.domContentLoaded || 0),
+    attrs: {
+      ...location(payload.path),
+      'http.route': payload.route,
+      'next_rum.navigation.id': payload.id,
+      'next_rum.navigation.type': payload.hard ? 'hard' : 'soft',
+      'next_rum.status': payload.status,
+      'next_rum.phase': payload.phase,
+      'next_rum.settled': payload.settled,
+      'next_rum.lcp': vitals.lcp,
+      'next_rum.cls': vitals.cls,
+      'next_rum.inp': vitals.inp,
+      'next_rum.fcp': vitals.fcp
+    },
+    status: payload.status === 'error'
+      ? { code: 2, message: error ? error.message : 'error' }
+      : null
+  }, traceId);
+
+  return [root].concat(phases({ ...payload, rum }).map((child) => create(child, traceId, root.spanId)));
+}
+
+/**
+ * Create the OTLP/JSON export request for a payload.
+ *
+ * @param {Object} payload The payload.
+ * @param {Object} options Configuration.
+ * @param {String} options.service The `service.name` of the resource.
+ * @param {Object} options.resource Additional attributes of the resource.
+ * @returns {Object} The `ExportTraceServiceRequest`.
+ * @public
+ */
+export function request(payload, { service, resource = {}} = {}) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: attributes({
+          'service.name': service,
+          'telemetry.sdk.name': 'next-rum',
+          'telemetry.sdk.language': 'webjs',
+          ...resource
+        })
+      },
+      scopeSpans: [{
+        scope: { name: 'next-rum' },
+        spans: spans(payload)
+      }]
+    }]
+  };
+}
+
+/**
+ * Export the navigations as traces to an OpenTelemetry collector, using
+ * OTLP/JSON over HTTP. It's a plugin, see `plugins.js`.
+ *
+ * @param {Object} options Configuration.
+ * @param {String} options.url The URL of the collector, e.g.
+ * `https://collector.example.com/v1/traces`.
+ * @param {String} options.service The `service.name` of the resource.
+ * @param {Object} options.resource Additional attributes of the resource.
+ * @param {Object} options.headers Additional headers of the request.
+ * @param {Function} options.fetch The `fetch` implementation to use.
+ * @returns {Object} The plugin.
+ * @public
+ */
+export default function exporter({ url, service = 'next-rum', resource = {}, headers = {}, fetch } = {}) {
+  return {
+    name: 'otlp',
+
+    send(payload) {
+      const transport = fetch || global.fetch;
+
+      if (!payload.rum || !payload.rum.navigationStart) {
+        return warn('The OTLP exporter requires the timing in the l1 format');
+      }
+
+      if (typeof transport !== 'function') return null;
+
+      const body = JSON.stringify(request(payload, { service, resource }));
+
+      //
+      // With `keepalive` the request survives the unload of the page, but the
+      // browser refuses it when the body does not fit in the quota, so bigger
+      // bodies are send without it.
+      //
+      return transport(url, {
+        method: 'POST',
+        keepalive: bytes(body) <= quota,
+        headers: { 'content-type': 'application/json', ...headers },
+        body
+      }).then((response) => {
+        if (response && response.ok === false) {
+          throw new Error(`The collector responded with ${response.status}`);
+        }
+
+        return response;
+      });
+    }
+  };
+}
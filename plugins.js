@@ -0,0 +1,110 @@
+import warn from './warn';
+
+/**
+ * Call a hook of a plugin, errors are isolated so a failing plugin does not
+ * affect the other plugins, or the measurement itself.
+ *
+ * @param {Object} plugin The plugin.
+ * @param {String} hook Name of the hook.
+ * @param {Mixed} arg The argument of the hook.
+ * @returns {Object} The `result` of the hook, or the `error` it threw.
+ * @private
+ */
+function call(plugin, hook, arg) {
+  try {
+    return { result: plugin[hook](arg) };
+  } catch (error) {
+    warn(`The ${plugin.name || 'anonymous'} plugin failed in ${hook}: ${error.message}`);
+    return { error };
+  }
+}
+
+/**
+ * The plugins that implement a given hook.
+ *
+ * @param {Array} plugins The plugins.
+ * @param {String} hook Name of the hook.
+ * @returns {Array} The plugins.
+ * @private
+ */
+function implementing(plugins, hook) {
+  return (plugins || []).filter((plugin) => plugin && typeof plugin[hook] === 'function');
+}
+
+/**
+ * Notify the plugins of a lifecycle event of the navigation, `onStart`,
+ * `onRender` or `onComplete`.
+ *
+ * @param {Array} plugins The plugins.
+ * @param {String} hook Name of the hook.
+ * @param {Object} navigation The `id`, `url` and `hard` flag of the navigation.
+ * @public
+ */
+export function notify(plugins, hook, navigation) {
+  implementing(plugins, hook).forEach((plugin) => call(plugin, hook, navigation));
+}
+
+/**
+ * Pass the payload through the `transform` hooks, in order. A transform that
+ * fails, or returns nothing, leaves the payload untouched.
+ *
+ * @param {Array} plugins The plugins.
+ * @param {Object} payload The payload.
+ * @returns {Object} The transformed payload.
+ * @public
+ */
+export function transform(plugins, payload) {
+  return implementing(plugins, 'transform').reduce((memo, plugin) => {
+    const { result } = call(plugin, 'transform', memo);
+
+    return result && typeof result === 'object' ? result : memo;
+  }, payload);
+}
+
+/**
+ * Check if the payload should be delivered, every `filter` hook has to agree.
+ * A filter that fails does not hold the payload back.
+ *
+ * @param {Array} plugins The plugins.
+ * @param {Object} payload The payload.
+ * @returns {Boolean} Indication that the payload should be delivered.
+ * @public
+ */
+export function filter(plugins, payload) {
+  return implementing(plugins, 'filter').every((plugin) => {
+    const { result, error } = call(plugin, 'filter', payload);
+
+    return !!error || !!result;
+  });
+}
+
+/**
+ * The `send` hooks of the plugins as transports, keyed by the name of the
+ * plugin, so the queue can retry the plugins that failed. A transport fails
+ * when its hook throws, returns `false` or a Promise that rejects.
+ *
+ * @param {Array} plugins The plugins.
+ * @returns {Object} The transports.
+ * @public
+ */
+export function senders(plugins) {
+  return implementing(plugins, 'send').reduce((memo, plugin, index) => {
+    let name = `plugin:${plugin.name || index}`;
+
+    if (name in memo) name = `${name}:${index}`;
+
+    memo[name] = (payload) => {
+      const { result, error } = call(plugin, 'send', payload);
+
+      if (error) return false;
+      if (!result || typeof result.then !== 'function') return result;
+
+      return result.then(null, (e) => {
+        warn(`The ${plugin.name || 'anonymous'} plugin failed in send: ${e && e.message}`);
+        throw e;
+      });
+    };
+
+    return memo;
+  }, {});
+}
@@ -26,28 +26,31 @@ export function prefix(where = {}, prop) {
  * of when the timer started. For older browsers we default to the first
  * known timing event, `navigationStart`.
  *
+ * @param {Function} api Interacts with the performance API, see `bind`.
  * @returns {Number} Epoch of when the high resolution timers were inititlized
  * @public
  */
-export function timeOrigin() {
-  const origin = purrformance('timeOrigin');
+export function timeOrigin(api = purrformance) {
+  const origin = api('timeOrigin');
 
-  return origin || (purrformance('timing') || {}).navigationStart;
+  return origin || (api('timing') || {}).navigationStart;
 }
 
 /**
  * Find an resource entry that matches a given Regular Expression for the entry
- * name.
+ * name, or a function that receives the entry.
  *
  * @param {Array} resources All resources.
- * @param {RegExp} regexp The regexp that needs to match.
+ * @param {RegExp|Function} regexp The regexp, or function, that needs to match.
  * @returns {Object|Undefined} The entry that is found.
  */
 export function find(resources = [], regexp) {
+  const matches = typeof regexp === 'function' ? regexp : (entry) => regexp.test(entry.name);
+
   for (let i = 0; i < resources.length; i++) {
     const entry = resources[i];
 
-    if (entry && entry.name && regexp.test(entry.name)) {
+    if (entry && entry.name && matches(entry)) {
       return entry;
     }
   }
@@ -57,11 +60,16 @@ export function find(resources = [], regexp) {
 * Get all entries that happend during the navigation cycle.
 *
 * @param {Object} between Start and end range where the request is made.
+* @param {Array} resources The resource entries.
+* @param {Number} origin EPOCH of the `timeOrigin`.
 * @returns {Resources} Resources that were gathered.
 * @public
 */
-export function entries({ start, end }, resources = purrformance('getEntriesByType', 'resource')) {
-  const origin = timeOrigin();
+export function entries(
+  { start, end },
+  resources = purrformance('getEntriesByType', 'resource'),
+  origin = timeOrigin()
+) {
   const contains = [
     'Start',      // transform keys like: responseStart, redirectStart etc
     'Time',       // transform the startTime
@@ -94,18 +102,181 @@ export function entries({ start, end }, resources = purrformance('getEntriesByTy
 }
 
 /**
- * Small helper function that allows us to safely interact with the
- * performance API that is exposed in browsers.
+ * The timing fields of the document, with the names that we use in our own
+ * RUM timing object.
  *
- * @param {String} method Name of the method we want to invoke.
- * @param {Arguments} args Rest of the arguments that should be applied.
- * @returns {Mixed} What ever the API returns.
+ * @type {Object}
  * @private
  */
-export default function purrformance(method, ...args) {
-  const perf = global[prefix(global, 'performance')];
+const fields = {
+  fetchStart: 'fetchStart',
+  domainLookupStart: 'domainLookupStart',
+  domainLookupEnd: 'domainLookupEnd',
+  connectStart: 'connectStart',
+  connectEnd: 'connectEnd',
+  requestStart: 'requestStart',
+  responseStart: 'responseStart',
+  responseEnd: 'responseEnd',
+  domInteractive: 'domInteractive',
+  domContentLoaded: 'domContentLoadedEventStart',
+  domComplete: 'domComplete',
+  loadEventStart: 'loadEventStart',
+  loadEventEnd: 'loadEventEnd'
+};
+
+/**
+ * Get the `PerformanceNavigationTiming` entry of the document.
+ *
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @returns {Object|Undefined} The entry, when it's supported.
+ * @public
+ */
+export function navigation(api = purrformance) {
+  return (api('getEntriesByType', 'navigation') || []).filter(
+    ({ entryType }) => entryType === 'navigation'
+  )[0];
+}
+
+/**
+ * Get the timing of the initial page load as EPOCH values. We prefer the
+ * `PerformanceNavigationTiming` entry and fall back to the deprecated
+ * `performance.timing`. Timings that are not known are `0`.
+ *
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @returns {Object|Null} The timing, or null when it's not available.
+ * @public
+ */
+export function timing(api = purrformance) {
+  const entry = navigation(api);
+  const legacy = api('timing');
+
+  if (!entry && !(legacy && legacy.navigationStart)) return null;
+
+  //
+  // The `PerformanceNavigationTiming` is relative to the `timeOrigin` while
+  // the `performance.timing` already contains EPOCH values.
+  //
+  const origin = entry ? timeOrigin(api) : 0;
+  const source = entry || legacy;
+  const epoch = (value) => (value ? origin + value : 0);
+  const result = {
+    navigationStart: entry ? origin : legacy.navigationStart
+  };
+
+  Object.keys(fields).forEach((name) => {
+    result[name] = epoch(source[fields[name]]);
+  });
+
+  //
+  // The `domLoading` is no longer part of the navigation timing, the document
+  // starts loading once the response has been received.
+  //
+  result.domLoading = entry ? result.responseEnd : epoch(legacy.domLoading);
+
+  return result;
+}
+
+/**
+ * Checks if the `PerformanceObserver` can observe a given entry type.
+ *
+ * @param {String} type The entry type, e.g. `resource`.
+ * @returns {Boolean} Indication if the type is supported.
+ * @public
+ */
+export function supports(type) {
+  const Observer = global.PerformanceObserver;
+  const supported = (Observer && Observer.supportedEntryTypes) || [];
+
+  return !!~supported.indexOf(type);
+}
+
+/**
+ * Observe performance entries of a given type, including the entries that
+ * were buffered before we started observing.
+ *
+ * @param {String} type The entry type, e.g. `largest-contentful-paint`.
+ * @param {Function} fn Called with an array of new entries.
+ * @param {Object} options Additional options for the observer.
+ * @returns {Function} Stops observing.
+ * @public
+ */
+export function observe(type, fn, options = {}) {
+  if (!supports(type)) return () => {};
+
+  const observer = new global.PerformanceObserver((list) => fn(list.getEntries()));
+
+  try {
+    observer.observe({ type, buffered: true, ...options });
+  } catch (e) {
+    return () => {};
+  }
+
+  return () => observer.disconnect();
+}
+
+/**
+ * Collect the resource entries using a `PerformanceObserver` in our own buffer
+ * instead of reading them from the browser's resource timing buffer. This
+ * allows us to track the resources without ever having to clear the browser's
+ * buffer, which is shared with other analytics scripts on the page.
+ *
+ * When the browser's buffer is full, its size is doubled (up to `max`) so other
+ * scripts do not lose their entries either.
+ *
+ * @param {Object} options Configuration.
+ * @param {Number} options.limit Maximum amount of entries in our buffer.
+ * @param {Number} options.max Maximum size of the browser's buffer.
+ * @param {Function} options.api Interacts with the performance API, see `bind`.
+ * @returns {Object|Null} The collector, or null when it's not supported.
+ * @public
+ */
+export function collect({ limit = 250, max = 2000, api = purrformance } = {}) {
+  if (!supports('resource')) return null;
+
+  let collected = [];
+
+  /**
+   * The browser's resource timing buffer is full.
+   *
+   * @private
+   */
+  function full() {
+    const size = (api('getEntriesByType', 'resource') || []).length;
+
+    if (size && size < max) {
+      api('setResourceTimingBufferSize', Math.min(size * 2, max));
+    }
+  }
+
+  const disconnect = observe('resource', (list) => {
+    collected = collected.concat(list.slice(0, limit - collected.length));
+  });
+
+  api('addEventListener', 'resourcetimingbufferfull', full);
+
+  return {
+    entries: () => collected.slice(),
+    clear: () => (collected = []),
+
+    stop() {
+      disconnect();
+      api('removeEventListener', 'resourcetimingbufferfull', full);
+    }
+  };
+}
+
+/**
+ * Create a function that safely interacts with a given performance object,
+ * it has the same signature as `purrformance`.
+ *
+ * @param {Object} perf The performance object, e.g. `window.performance`.
+ * @returns {Function} Invokes a method, or reads a property, of the object.
+ * @public
+ */
+export function bind(perf) {
+  return function bound(method, ...args) {
+    if (!perf) return;
 
-  if (perf) {
     const name = prefix(perf, method);
 
     if (typeof perf[name] === 'function') {
@@ -113,13 +284,32 @@ export default function purrformance(method, ...args) {
     } else {
       return perf[name];
     }
-  }
+  };
+}
+
+/**
+ * Small helper function that allows us to safely interact with the
+ * performance API that is exposed in browsers.
+ *
+ * @param {String} method Name of the method we want to invoke.
+ * @param {Arguments} args Rest of the arguments that should be applied.
+ * @returns {Mixed} What ever the API returns.
+ * @private
+ */
+export default function purrformance(method, ...args) {
+  return bind(global[prefix(global, 'performance')])(method, ...args);
 }
 
 //
 // Expose all methods on the purrformance method as well for easier exports.
 //
 purrformance.find = find;
+purrformance.observe = observe;
+purrformance.collect = collect;
+purrformance.supports = supports;
 purrformance.prefix = prefix;
+purrformance.bind = bind;
 purrformance.entries = entries;
+purrformance.timing = timing;
+purrformance.navigation = navigation;
 purrformance.timeOrigin = timeOrigin;
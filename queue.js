@@ -0,0 +1,291 @@
+/**
+ * Persists the payloads until they are delivered, so they survive failing
+ * transports, users that are offline and tabs that are closed. Payloads that
+ * could not be delivered are retried, with backoff, on the next navigation or
+ * page load.
+ *
+ * A payload is delivered by multiple transports, e.g. the `navigated` callback
+ * and the reporter, only the transports that failed are retried.
+ *
+ * @class
+ * @public
+ */
+export default class Queue {
+  /**
+   * @constructor
+   * @param {Object} options Additional configuration.
+   * @param {String} options.key The key in the `localStorage`.
+   * @param {Number} options.limit Maximum amount of payloads that we keep.
+   * @param {Number} options.size Maximum size of the persisted state, in
+   * characters of its JSON as that's what the quota of the `localStorage`
+   * counts.
+   * @param {Number} options.age Maximum age (in ms) of the payloads.
+   * @param {Number} options.retries Maximum amount of delivery attempts.
+   * @param {Number} options.backoff Time (in ms) before the first retry, it's
+   * doubled for each following attempt.
+   * @param {Number} options.lease Time (in ms) that a tab claims the payloads
+   * it's delivering, so other tabs leave them alone.
+   * @public
+   */
+  constructor({
+    key = 'next-rum:queue',
+    limit = 50,
+    size = 1024 * 1024,
+    age = 24 * 60 * 60 * 1000,
+    retries = 5,
+    backoff = 1000,
+    lease = 60 * 1000
+  } = {}) {
+    this.key = key;                 // Key of the persisted state.
+    this.limit = limit;             // Max amount of payloads.
+    this.size = size;               // Max size of the persisted state.
+    this.age = age;                 // Max age of the payloads.
+    this.retries = retries;         // Max amount of delivery attempts.
+    this.backoff = backoff;         // Initial time between attempts.
+    this.lease = lease;             // Time a claim of a tab lasts.
+    this.tab = Math.random().toString(36).slice(2);
+    this.inflight = {};             // Ids of the payloads being delivered.
+    this.fallback = null;           // State without `localStorage`.
+    this.stale = false;             // The `localStorage` missed a write.
+  }
+
+  /**
+   * Read the persisted state.
+   *
+   * @returns {Object} The `items` that need to be delivered and the ids of the
+   * payloads that were `sent`.
+   * @private
+   */
+  read() {
+    let state;
+
+    try {
+      state = this.stale ? this.fallback : JSON.parse(global.localStorage.getItem(this.key));
+    } catch (e) {
+      state = this.fallback;
+    }
+
+    if (!state || !Array.isArray(state.items) || !Array.isArray(state.sent)) {
+      state = { items: [], sent: [] };
+    }
+
+    //
+    // Payloads that are too old to be of use, or that do not fit, are dropped
+    // so we never fill up the storage of the user.
+    //
+    const now = Date.now();
+
+    state.items = state.items.filter(({ time }) => now - time <= this.age).slice(-this.limit);
+    state.sent = state.sent.slice(-this.limit);
+
+    return this.fit(state);
+  }
+
+  /**
+   * Drop the oldest payloads until the state fits in the `size`.
+   *
+   * @param {Object} state The state.
+   * @returns {Object} The state.
+   * @private
+   */
+  fit(state) {
+    let size = JSON.stringify(state).length;
+
+    while (size > this.size && state.items.length) {
+      size -= JSON.stringify(state.items.shift()).length + 1;
+    }
+
+    return state;
+  }
+
+  /**
+   * Persist the state.
+   *
+   * @param {Object} state The state.
+   * @private
+   */
+  write(state) {
+    this.fallback = this.fit(state);
+
+    try {
+      global.localStorage.setItem(this.key, JSON.stringify(state));
+      this.stale = false;
+    } catch (e) {
+      //
+      // The `localStorage` is disabled, full, or not available, so the
+      // payloads only survive for the lifetime of the page. Until it accepts
+      // a write again we continue with the state in memory, the stored state
+      // lacks the latest payloads.
+      //
+      this.stale = true;
+    }
+  }
+
+  /**
+   * Add a new payload and try to deliver it, payloads of a navigation that is
+   * already queued, or delivered, are ignored.
+   *
+   * @param {Object} payload The payload, with the `id` of its navigation.
+   * @param {Object} transports The transports, by name. Each delivers a
+   * single payload, it fails by throwing, or by returning `false` or a Promise
+   * that rejects.
+   * @public
+   */
+  add(payload, transports) {
+    const state = this.read();
+    const id = payload.id;
+
+    if (~state.sent.indexOf(id) || state.items.some((item) => item.payload.id === id)) return;
+
+    const item = {
+      payload,
+      attempts: 0,
+      time: Date.now(),
+      next: 0,
+      pending: Object.keys(transports),
+      claimed: null
+    };
+
+    state.items.push(item);
+    this.write(state);
+
+    //
+    // A payload that exceeds the `size` by itself is never persisted, it
+    // still deserves an attempt, it's just not retried.
+    //
+    if (!~state.items.indexOf(item)) this.attempt(item, transports);
+    this.drain(transports);
+  }
+
+  /**
+   * Deliver the payloads that are due. Nothing is attempted while the user is
+   * offline, so those attempts do not count towards the `retries`.
+   *
+   * The `localStorage` is shared by all the tabs of the site, so each payload
+   * is claimed by the tab that delivers it. Payloads that are claimed by other
+   * tabs are left alone, until their claim expires because the tab is closed.
+   *
+   * @param {Object} transports The transports, by name, see `add`.
+   * @public
+   */
+  drain(transports) {
+    const navigator = global.navigator;
+    const offline = navigator && navigator.onLine === false;
+    const state = this.read();
+    const now = Date.now();
+    const claim = { tab: this.tab, until: now + this.lease };
+    const due = offline ? [] : state.items.filter((item) => this.due(item, now));
+
+    //
+    // The claims of the payloads that we're still delivering are renewed, so
+    // slow transports do not lose them.
+    //
+    state.items.forEach((item) => {
+      if (this.inflight[item.payload.id] || ~due.indexOf(item)) item.claimed = claim;
+    });
+
+    this.write(state);
+    due.forEach((item) => this.attempt(item, transports));
+  }
+
+  /**
+   * Check if a payload should be delivered.
+   *
+   * @param {Object} item The queued payload.
+   * @param {Number} now The current EPOCH.
+   * @returns {Boolean} Indication that the payload is due.
+   * @private
+   */
+  due({ payload, next, claimed }, now) {
+    if (this.inflight[payload.id] || next > now) return false;
+
+    return !claimed || claimed.until <= now;
+  }
+
+  /**
+   * Attempt to deliver a payload with the transports that did not deliver it
+   * yet. Transports that no longer exist are considered done.
+   *
+   * @param {Object} item The queued payload.
+   * @param {Object} transports The transports, by name.
+   * @private
+   */
+  attempt({ payload, pending }, transports) {
+    const id = payload.id;
+    const names = (pending || Object.keys(transports)).filter(
+      (name) => typeof transports[name] === 'function'
+    );
+    const failed = [];
+    let remaining = names.length;
+
+    this.inflight[id] = true;
+    if (!remaining) {
+      this.settle(id, failed);
+      return;
+    }
+
+    names.forEach((name) => {
+      const finish = (delivered) => {
+        if (!delivered) failed.push(name);
+        if (!--remaining) this.settle(id, failed);
+      };
+
+      let result;
+
+      try {
+        result = transports[name](payload);
+      } catch (e) {
+        result = false;
+      }
+
+      if (result && typeof result.then === 'function') {
+        result.then(() => finish(true), () => finish(false));
+      } else {
+        finish(result !== false);
+      }
+    });
+  }
+
+  /**
+   * The delivery attempt has finished. Delivered payloads are remembered, so
+   * they are never delivered twice, failed payloads are scheduled for their
+   * next attempt with the transports that failed.
+   *
+   * @param {String} id The id of the payload.
+   * @param {Array} failed Names of the transports that failed.
+   * @private
+   */
+  settle(id, failed) {
+    const state = this.read();
+    const index = state.items.findIndex((item) => item.payload.id === id);
+
+    delete this.inflight[id];
+    if (!~index) return;
+
+    const item = state.items[index];
+
+    item.claimed = null;
+
+    if (!failed.length) {
+      state.items.splice(index, 1);
+      state.sent.push(id);
+    } else if (++item.attempts >= this.retries) {
+      state.items.splice(index, 1);
+    } else {
+      item.pending = failed;
+      item.next = Date.now() + this.backoff * Math.pow(2, item.attempts - 1);
+    }
+
+    this.write(state);
+  }
+
+  /**
+   * The payloads that still need to be delivered.
+   *
+   * @returns {Array} The payloads.
+   * @public
+   */
+  pending() {
+    return this.read().items.map(({ payload }) => payload);
+  }
+}
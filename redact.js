@@ -0,0 +1,54 @@
+/**
+ * Remove the query string and hash of a URL.
+ *
+ * @returns {Function} The redaction step.
+ * @public
+ */
+export function strip() {
+  return (url) => url.split(/[?#]/)[0];
+}
+
+/**
+ * Only keep the query parameters that are allowed, the hash is removed.
+ *
+ * @param {Array} params Names of the parameters that are allowed.
+ * @returns {Function} The redaction step.
+ * @public
+ */
+export function allow(params) {
+  return (url) => {
+    const [location] = url.split('#');
+    const index = location.indexOf('?');
+
+    if (!~index) return location;
+
+    const kept = location.slice(index + 1).split('&').filter((pair) => {
+      const [name] = pair.split('=');
+
+      try {
+        return !!~params.indexOf(decodeURIComponent(name));
+      } catch (e) {
+        return false;
+      }
+    });
+
+    return location.slice(0, index) + (kept.length ? `?${kept.join('&')}` : '');
+  };
+}
+
+/**
+ * Combine the redaction steps in a single function, the URL goes through each
+ * step in order.
+ *
+ * @param {Array} steps The redaction steps, functions that receive the URL and
+ * return the redacted URL.
+ * @returns {Function} Redacts a URL.
+ * @public
+ */
+export default function pipeline(steps = []) {
+  return (url) => {
+    if (typeof url !== 'string') return url;
+
+    return steps.reduce((memo, step) => step(memo), url);
+  };
+}
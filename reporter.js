@@ -0,0 +1,169 @@
+/**
+ * Beacons, and requests with `keepalive`, of a page share a quota of 64KB,
+ * in bytes. The browser refuses the bodies that do not fit.
+ *
+ * @type {Number}
+ * @public
+ */
+export const quota = 64 * 1024;
+
+/**
+ * The size of a body in bytes. Without `TextEncoder` we assume the worst, each
+ * character takes 3 bytes in UTF-8.
+ *
+ * @param {String} body The body.
+ * @returns {Number} The size.
+ * @public
+ */
+export function bytes(body) {
+  const Encoder = global.TextEncoder;
+
+  return typeof Encoder === 'function' ? new Encoder().encode(body).length : body.length * 3;
+}
+
+/**
+ * Batches the RUM payloads and delivers them to a given endpoint using the
+ * most reliable transport that the browser has to offer.
+ *
+ * @class
+ * @public
+ */
+export default class Reporter {
+  /**
+   * @constructor
+   * @param {String} endpoint The URL that receives the payloads.
+   * @param {Object} options Additional configuration.
+   * @param {Number} options.batch Amount of payloads we queue before sending.
+   * @public
+   */
+  constructor(endpoint, { batch = 10 } = {}) {
+    this.endpoint = endpoint;       // URL that receives the payloads.
+    this.batch = batch;             // Max amount of queued payloads.
+    this.queue = [];                // Payloads that still need to be sent.
+    this.waiting = [];              // Settle the deliveries of the queue.
+
+    this.flush = this.flush.bind(this);
+  }
+
+  /**
+   * Add a new payload to the queue, once we've reached the maximum batch size
+   * the queue is flushed automatically.
+   *
+   * @param {Object} payload The payload that needs to be reported.
+   * @returns {Promise} Resolves once the batch of the payload is delivered,
+   * rejects when it could not be delivered.
+   * @public
+   */
+  push(payload) {
+    const delivered = new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+
+    //
+    // Only the queue is interested in the outcome, everybody else should not
+    // be bothered with unhandled rejections.
+    //
+    delivered.catch(() => {});
+
+    this.queue.push(payload);
+    if (this.queue.length >= this.batch) this.flush();
+
+    return delivered;
+  }
+
+  /**
+   * Send all the queued payloads to the endpoint.
+   *
+   * @returns {Boolean} Indication if the payloads were handed to a transport.
+   * @public
+   */
+  flush() {
+    if (!this.queue.length) return false;
+
+    const batches = this.split(this.queue.splice(0), this.waiting.splice(0));
+
+    return batches.map(({ payloads, waiting }) => {
+      const result = this.send(JSON.stringify(payloads));
+      const settle = (outcome, reason) => waiting.forEach((promise) => promise[outcome](reason));
+
+      if (result && typeof result.then === 'function') {
+        result.then(() => settle('resolve'), (e) => settle('reject', e));
+        return true;
+      }
+
+      if (result) settle('resolve');
+      else settle('reject', new Error('No transport available'));
+
+      return result;
+    }).every(Boolean);
+  }
+
+  /**
+   * Split the payloads in batches whose body fits in the `quota`, a payload
+   * that does not fit by itself is send alone.
+   *
+   * @param {Array} payloads The payloads.
+   * @param {Array} waiting The deliveries of the payloads.
+   * @returns {Array} The `payloads` and `waiting` deliveries of each batch.
+   * @private
+   */
+  split(payloads, waiting) {
+    const batches = [];
+    let batch = null;
+
+    payloads.forEach((payload, index) => {
+      const size = bytes(JSON.stringify(payload)) + 1;
+
+      if (!batch || batch.size + size > quota) {
+        batch = { size: 1, payloads: [], waiting: [] };
+        batches.push(batch);
+      }
+
+      batch.size += size;
+      batch.payloads.push(payload);
+      batch.waiting.push(waiting[index]);
+    });
+
+    return batches;
+  }
+
+  /**
+   * Transfer the data to the endpoint. The `sendBeacon` API is preferred as
+   * the browser guarantees delivery, even when the page is being unloaded or
+   * placed in the back/forward cache. When it's not supported, or when it
+   * refuses our data because the beacon quota is exceeded, we fall back to
+   * `fetch` with `keepalive` which offers similar guarantees. Both share the
+   * `quota`, bodies that do not fit are send with a regular `fetch` which
+   * does not survive the unload of the page.
+   *
+   * The body is intentionally send as plain text, using a JSON content-type
+   * would trigger a CORS preflight which beacons do not support.
+   *
+   * A beacon is delivered once the browser accepts it, it never tells us
+   * about the response. The `fetch` is only delivered once the endpoint
+   * responded successfully.
+   *
+   * @param {String} body The serialized payloads.
+   * @returns {Boolean|Promise} Indication if the body was handed to a
+   * transport, or a Promise for the response of the `fetch`.
+   * @private
+   */
+  send(body) {
+    const { navigator, fetch } = global;
+    const fits = bytes(body) <= quota;
+
+    if (fits && navigator && typeof navigator.sendBeacon === 'function') {
+      if (navigator.sendBeacon(this.endpoint, body)) return true;
+    }
+
+    if (typeof fetch === 'function') {
+      return fetch(this.endpoint, {
+        method: 'POST',
+        keepalive: fits,
+        body
+      }).then((response) => {
+        if (response && response.ok === false) throw new Error(`Unexpected status ${response.status}`);
+      });
+    }
+
+    return false;
+  }
+}
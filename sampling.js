@@ -0,0 +1,78 @@
+/**
+ * The key in the `sessionStorage` where the random draw of the session is
+ * stored.
+ *
+ * @type {String}
+ * @private
+ */
+const key = 'next-rum:sample';
+
+/**
+ * The random draw when the `sessionStorage` is not available.
+ *
+ * @type {Number|Null}
+ * @private
+ */
+let fallback = null;
+
+/**
+ * The random draw of the session. It's made once, and persisted in the
+ * `sessionStorage`, so a session is either sampled or not and the user's
+ * journey stays whole.
+ *
+ * @returns {Number} The draw, between 0 and 1.
+ * @public
+ */
+export function draw() {
+  try {
+    const storage = global.sessionStorage;
+    const stored = parseFloat(storage.getItem(key));
+
+    if (stored >= 0 && stored < 1) return stored;
+
+    const value = Math.random();
+
+    storage.setItem(key, String(value));
+    return value;
+  } catch (e) {
+    //
+    // The `sessionStorage` throws when it's disabled, or not available, so
+    // we can only keep the draw for the lifetime of the page.
+    //
+    if (fallback === null) fallback = Math.random();
+    return fallback;
+  }
+}
+
+/**
+ * The sample rate of a route, the per-route rates take precedence over the
+ * global `sampleRate`.
+ *
+ * @param {Object} options Configuration.
+ * @param {Number} options.sampleRate The global rate, between 0 and 1.
+ * @param {Object} options.sampleRates The rates of each route.
+ * @param {String} route The route of the navigation.
+ * @returns {Number} The sample rate.
+ * @public
+ */
+export function rate({ sampleRate, sampleRates }, route) {
+  const rates = sampleRates || {};
+
+  if (route && typeof rates[route] === 'number') return rates[route];
+
+  return typeof sampleRate === 'number' ? sampleRate : 1;
+}
+
+/**
+ * Checks if the session is sampled for a given rate.
+ *
+ * @param {Number} value The sample rate, between 0 and 1.
+ * @returns {Boolean} Indication if the navigation should be reported.
+ * @public
+ */
+export function sampled(value) {
+  if (value >= 1) return true;
+  if (!(value > 0)) return false;
+
+  return draw() < value;
+}
@@ -0,0 +1,61 @@
+/**
+ * The name of the Server-Timing metric that contains the total time the
+ * server spent on the response.
+ *
+ * @type {String}
+ * @private
+ */
+const total = 'total';
+
+/**
+ * Read the Server-Timing metrics of the resource entries, the durations of
+ * metrics with the same name are added up.
+ *
+ * @param {Array} sources The resource, or navigation, entries.
+ * @returns {Object} The duration, in ms, of each metric.
+ * @public
+ */
+export function parse(sources = []) {
+  return sources.reduce((memo, entry) => {
+    ((entry && entry.serverTiming) || []).forEach(({ name, duration }) => {
+      if (!name) return;
+
+      memo[name] = (memo[name] || 0) + (duration || 0);
+    });
+
+    return memo;
+  }, {});
+}
+
+/**
+ * Split the duration of the navigation in the time that was spent by the
+ * backend and the frontend, based on the Server-Timing metrics of the document
+ * or data requests. The metrics are assumed to be sequential, unless the
+ * backend sends a `total` metric.
+ *
+ * @param {Array} sources The entries of the document, or data, requests.
+ * @param {Object} rum The RUM timing, all values as EPOCH.
+ * @returns {Object|Null} The `backend` and `frontend` time in ms, and the
+ * `metrics` of the server. Null when the server did not send any metrics.
+ * @public
+ */
+export default function summarize(sources, rum) {
+  const metrics = parse(sources);
+  const names = Object.keys(metrics);
+
+  if (!names.length) return null;
+
+  const backend = total in metrics
+    ? metrics[total]
+    : names.reduce((sum, name) => sum + metrics[name], 0);
+
+  const duration = rum.loadEventEnd && rum.navigationStart
+    ? rum.loadEventEnd - rum.navigationStart
+    : null;
+
+  return {
+    backend,
+    frontend: duration === null ? null : Math.max(0, duration - backend),
+    metrics
+  };
+}
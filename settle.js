@@ -0,0 +1,187 @@
+import purrformance, { observe, supports } from './purrformance';
+
+/**
+ * Amount of fetch requests that are currently in flight.
+ *
+ * @type {Number}
+ * @private
+ */
+let inflight = 0;
+
+/**
+ * Amount of times a fetch request started or finished, the `fetch` function
+ * is shared by everyone so we only count and leave the timing to `settle`.
+ *
+ * @type {Number}
+ * @private
+ */
+let activity = 0;
+
+/**
+ * Amount of components that are counting the fetch requests.
+ *
+ * @type {Number}
+ * @private
+ */
+let intercepting = 0;
+
+/**
+ * The original `fetch` function, and the function that replaced it.
+ *
+ * @type {Object}
+ * @private
+ */
+let fetches = null;
+
+/**
+ * Start counting the fetch requests that are in flight. The `fetch` function
+ * is only wrapped once, even when multiple components are counting.
+ *
+ * @returns {Function} Stops counting.
+ * @public
+ */
+export function intercept() {
+  if (!intercepting++ && typeof global.fetch === 'function') {
+    const original = global.fetch;
+
+    fetches = {
+      original,
+      patched: function intercepted() {
+        const finished = () => {
+          inflight--;
+          activity++;
+        };
+
+        inflight++;
+        activity++;
+
+        try {
+          const request = original.apply(this, arguments);
+
+          request.then(finished, finished);
+          return request;
+        } catch (e) {
+          finished();
+          throw e;
+        }
+      }
+    };
+
+    global.fetch = fetches.patched;
+  }
+
+  let stopped = false;
+
+  return () => {
+    if (stopped) return;
+
+    stopped = true;
+    if (--intercepting || !fetches) return;
+
+    //
+    // Someone else might have wrapped `fetch` after us, restoring it would
+    // remove their wrapper as well, so we leave it in place.
+    //
+    if (global.fetch === fetches.patched) global.fetch = fetches.original;
+    fetches = null;
+  };
+}
+
+/**
+ * The amount of fetch requests that are currently in flight.
+ *
+ * @returns {Number} The amount of requests.
+ * @public
+ */
+export function pending() {
+  return inflight;
+}
+
+/**
+ * Wait for the network to settle. The network is quiet once no new resource
+ * entries have arrived and no fetch requests are in flight for the `quiet`
+ * period. We never wait longer than `timeout`.
+ *
+ * @param {Object} options Configuration.
+ * @param {Number} options.quiet Period (in ms) without network activity.
+ * @param {Number} options.timeout Maximum time (in ms) that we wait.
+ * @param {Function} options.clock Returns the current EPOCH.
+ * @param {Function} options.api Interacts with the performance API, see `bind`.
+ * @param {Function} fn Called with the condition that ended the wait, either
+ * `quiet` or `timeout`.
+ * @returns {Function} Stops waiting, without calling `fn`.
+ * @public
+ */
+export default function settle({
+  quiet,
+  timeout,
+  clock = () => Date.now(),
+  api = purrformance
+}, fn) {
+  const observing = supports('resource');
+  const count = () => (api('getEntriesByType', 'resource') || []).length;
+
+  let last = clock();
+  let seen = observing ? 0 : count();
+  let requests = activity;
+  let stopped = false;
+  let timer = null;
+
+  const disconnect = observe('resource', () => (last = clock()), { buffered: false });
+  const limit = setTimeout(() => finish('timeout'), timeout);
+
+  /**
+   * Stop waiting.
+   *
+   * @private
+   */
+  function stop() {
+    if (stopped) return;
+
+    stopped = true;
+    clearTimeout(timer);
+    clearTimeout(limit);
+    disconnect();
+  }
+
+  /**
+   * The network has settled, or we've waited long enough.
+   *
+   * @param {String} reason The condition that ended the wait.
+   * @private
+   */
+  function finish(reason) {
+    stop();
+    fn(reason);
+  }
+
+  /**
+   * Check if the network has been quiet long enough. Without observer we
+   * have to check if the amount of resource entries changed instead, the
+   * same goes for the fetch requests that started or finished.
+   *
+   * @private
+   */
+  function check() {
+    if (!observing) {
+      const size = count();
+
+      if (size !== seen) last = clock();
+      seen = size;
+    }
+
+    if (requests !== activity) last = clock();
+    requests = activity;
+
+    const idle = clock() - last;
+
+    if (!inflight && idle >= quiet) {
+      finish('quiet');
+    } else {
+      timer = setTimeout(check, inflight ? quiet : quiet - idle);
+    }
+  }
+
+  timer = setTimeout(check, quiet);
+  return stop;
+}
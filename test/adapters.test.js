@@ -0,0 +1,118 @@
+import { register, select } from '../adapters';
+import { warnings } from './polyfill';
+import EventEmitter from 'events';
+import assume from 'assume';
+
+describe('adapters', function () {
+  let captured;
+
+  /**
+   * Create a fake `next` global.
+   *
+   * @param {Boolean} emitter Include the `emitter`.
+   * @returns {Object} The fake global.
+   * @private
+   */
+  function internals(emitter) {
+    const events = new EventEmitter();
+    const router = { asPath: '/', events };
+    const result = { router };
+
+    events.off = events.removeListener;
+
+    if (emitter) {
+      result.emitter = new EventEmitter();
+      result.emitter.off = result.emitter.removeListener;
+    }
+
+    return result;
+  }
+
+  /**
+   * Fake `<Measure>` instance.
+   *
+   * @returns {Object} The instance.
+   * @private
+   */
+  function measure() {
+    return {
+      start: () => {},
+      before: () => {},
+      after: () => {},
+      complete: () => {},
+      error: () => {}
+    };
+  }
+
+  beforeEach(function () {
+    captured = warnings();
+  });
+
+  afterEach(function () {
+    captured.restore();
+  });
+
+  describe('#select', function () {
+    it('prefers the render events of the emitter', function () {
+      const adapter = select(internals(true));
+
+      assume(adapter.name).equals('emitter');
+      assume(captured.messages).is.length(0);
+    });
+
+    it('falls back to the router events', function () {
+      const next = internals(false);
+      const instance = measure();
+      const adapter = select(next);
+
+      assume(adapter.name).equals('router');
+
+      adapter.hook(instance, next);
+
+      assume(instance.router).equals(next.router);
+      assume(next.router.events.listeners('beforeHistoryChange')).deep.equals([instance.before]);
+      assume(next.router.events.listeners('routeChangeComplete')).deep.equals([instance.after, instance.complete]);
+      assume(next.router.events.listeners('routeChangeError')).deep.equals([instance.error]);
+
+      adapter.unhook(instance);
+
+      assume(instance.router).is.a('null');
+      assume(next.router.events.eventNames()).is.length(0);
+    });
+
+    it('falls back to a noop adapter when there is no router', function () {
+      const adapter = select();
+
+      assume(adapter.name).equals('none');
+
+      adapter.hook(measure());
+      adapter.unhook(measure());
+    });
+
+    it('warns once about falling back', function () {
+      const remove = register({
+        name: 'warning-test',
+        warning: 'falling back',
+        detect: () => true
+      });
+
+      select();
+      select();
+      remove();
+
+      assume(captured.messages).deep.equals(['next-rum: falling back']);
+    });
+  });
+
+  describe('#register', function () {
+    it('prefers the registered adapter', function () {
+      const adapter = { name: 'custom', detect: () => true };
+      const remove = register(adapter);
+
+      assume(select(internals(true))).equals(adapter);
+
+      remove();
+      assume(select(internals(true))).does.not.equal(adapter);
+    });
+  });
+});
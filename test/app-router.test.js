@@ -0,0 +1,194 @@
+import AppRouterMeasure from '../app-router';
+import { mount } from 'enzyme';
+import assume from 'assume';
+import React from 'react';
+
+describe('AppRouterMeasure', function () {
+  let enzyme;
+  let rum;
+  let calls;
+
+  /**
+   * Render the new route like the App Router would.
+   *
+   * @param {String} pathname The new pathname.
+   * @param {String} search The new search params.
+   * @private
+   */
+  function render(pathname, search = '') {
+    enzyme.setProps({ pathname, search });
+  }
+
+  beforeEach(function () {
+    calls = [];
+
+    enzyme = mount(
+      <AppRouterMeasure
+        pathname='/'
+        delay={ 0 }
+        navigated={ (...args) => calls.push(args) } />
+    );
+
+    rum = enzyme.instance();
+  });
+
+  afterEach(function () {
+    enzyme.unmount();
+  });
+
+  describe('history', function () {
+    const { pushState } = global.history;
+
+    it('patches and restores the `history` methods', function () {
+      assume(global.history.pushState.name).equals('patched');
+      assume(global.history.replaceState.name).equals('patched');
+
+      enzyme.unmount();
+
+      assume(global.history.pushState.name).does.not.equal('patched');
+      assume(global.history.replaceState.name).does.not.equal('patched');
+
+      enzyme = mount(<AppRouterMeasure pathname='/' />);
+    });
+
+    it('leaves the wrappers that were installed after ours in place', function () {
+      const patched = global.history.pushState;
+
+      global.history.pushState = function wrapper() {
+        return patched.apply(this, arguments);
+      };
+
+      enzyme.unmount();
+
+      assume(global.history.pushState.name).equals('wrapper');
+      assume(global.history.replaceState.name).does.not.equal('patched');
+
+      global.history.pushState({}, '', '/after');
+      assume(rum.get('navigationStart')).is.a('undefined');
+
+      global.history.pushState = pushState;
+      enzyme = mount(<AppRouterMeasure pathname='/' />);
+    });
+
+    it('starts the navigation when the history is updated', function () {
+      global.history.pushState({}, '', '/pushed?foo=bar#hash');
+
+      assume(rum.get('navigationStart').url).equals('/pushed?foo=bar');
+    });
+  });
+
+  it('starts the navigation when a link is clicked', function () {
+    const link = global.document.createElement('a');
+    const child = global.document.createElement('span');
+
+    link.href = '/clicked';
+    link.appendChild(child);
+    global.document.body.appendChild(link);
+
+    child.dispatchEvent(new global.window.MouseEvent('click', { bubbles: true }));
+    global.document.body.removeChild(link);
+
+    assume(rum.get('navigationStart').url).equals('/clicked');
+  });
+
+  it('ignores links to other origins and new windows', function () {
+    const link = global.document.createElement('a');
+
+    link.href = 'https://example.com/external';
+    rum.click({ target: link });
+
+    link.href = '/blank';
+    link.target = '_blank';
+    rum.click({ target: link });
+
+    assume(rum.get('navigationStart')).is.a('undefined');
+  });
+
+  it('does not restart a navigation that is in progress', function () {
+    rum.navigate('/same');
+    const start = rum.get('navigationStart');
+
+    rum.navigate('/same');
+    assume(rum.get('navigationStart')).equals(start);
+  });
+
+  it('ignores navigations to the current page', function () {
+    rum.navigate('/');
+
+    assume(rum.get('navigationStart')).is.a('undefined');
+  });
+
+  it('produces the payload once the route is rendered and painted', function (next) {
+    rum.navigate('/product?id=1');
+
+    setTimeout(function () {
+      render('/product', 'id=1');
+
+      assume(rum.get('domLoading')).is.a('object');
+      assume(rum.get('domContentLoaded')).is.a('object');
+
+      setTimeout(function () {
+        assume(calls).is.length(1);
+
+        const [path, timing, entries, payload] = calls[0];
+
+        assume(path).equals('/product?id=1');
+        assume(payload.path).equals(path);
+        assume(entries).is.a('array');
+
+        Object.keys(timing).forEach(
+          prop => assume(timing[prop]).is.a('number')
+        );
+
+        assume(timing.domLoading).is.atleast(timing.navigationStart);
+        assume(timing.loadEventEnd).is.atleast(timing.domContentLoaded);
+
+        next();
+      }, 50);
+    }, 5);
+  });
+
+  it('starts a new navigation while the previous one settles', function (next) {
+    enzyme.unmount();
+    enzyme = mount(
+      <AppRouterMeasure
+        pathname='/'
+        navigated={ (...args) => calls.push(args) } />
+    );
+
+    render('/a');
+
+    setTimeout(function () {
+      assume(calls).is.length(0);
+      render('/b');
+
+      assume(calls).is.length(1);
+      assume(calls[0][0]).equals('/a');
+      assume(calls[0][3].status).equals('complete');
+
+      setTimeout(function () {
+        enzyme.unmount();
+
+        assume(calls).is.length(2);
+        assume(calls[1][0]).equals('/b');
+        assume(calls[1][3].id).does.not.equal(calls[0][3].id);
+        assume(calls[1][1].navigationStart).is.above(calls[0][1].navigationStart);
+        assume(calls[1][1].domLoading).is.above(calls[0][1].domLoading);
+
+        enzyme = mount(<AppRouterMeasure pathname='/' />);
+        next();
+      }, 50);
+    }, 50);
+  });
+
+  it('starts the navigation on render when it was not seen before', function (next) {
+    render('/programmatic');
+
+    setTimeout(function () {
+      assume(calls).is.length(1);
+      assume(calls[0][0]).equals('/programmatic');
+
+      next();
+    }, 50);
+  });
+});
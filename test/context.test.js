@@ -0,0 +1,206 @@
+import { register, listen, enrich } from '../context';
+import polyfill, { warnings } from './polyfill';
+import assume from 'assume';
+
+describe('context', function () {
+  let descriptor;
+  let store;
+
+  /**
+   * A soft navigation that just started.
+   *
+   * @returns {Object} The navigation.
+   * @private
+   */
+  function soft() {
+    return { id: 'soft', url: '/soft', hard: false, start: Date.now() };
+  }
+
+  beforeEach(function () {
+    store = {};
+    descriptor = Object.getOwnPropertyDescriptor(global, 'sessionStorage');
+
+    Object.defineProperty(global, 'sessionStorage', {
+      configurable: true,
+      value: {
+        getItem: (name) => (name in store ? store[name] : null),
+        setItem: (name, value) => (store[name] = value)
+      }
+    });
+  });
+
+  afterEach(function () {
+    if (descriptor) Object.defineProperty(global, 'sessionStorage', descriptor);
+    else delete global.sessionStorage;
+  });
+
+  describe('#enrich', function () {
+    it('tracks the session', function () {
+      const first = enrich(soft(), '/first');
+      const second = enrich(soft(), '/second');
+
+      assume(first.session).is.a('string');
+      assume(second.session).equals(first.session);
+      assume(first.sequence).equals(1);
+      assume(second.sequence).equals(2);
+      assume(first.previous).is.a('null');
+      assume(second.previous).equals('/first');
+
+      assume(JSON.parse(store['next-rum:session'])).deep.equals({
+        id: first.session,
+        sequence: 2,
+        route: '/second'
+      });
+    });
+
+    it('continues the session that is stored', function () {
+      store['next-rum:session'] = JSON.stringify({ id: 'session', sequence: 4, route: '/account' });
+
+      const context = enrich(soft(), '/checkout');
+
+      assume(context.session).equals('session');
+      assume(context.sequence).equals(5);
+      assume(context.previous).equals('/account');
+    });
+
+    it('keeps the session for the page when the sessionStorage throws', function () {
+      Object.defineProperty(global, 'sessionStorage', {
+        configurable: true,
+        get: () => {
+          throw new Error('SecurityError');
+        }
+      });
+
+      const first = enrich(soft(), '/first');
+      const second = enrich(soft(), '/second');
+
+      assume(second.session).equals(first.session);
+      assume(second.sequence).equals(first.sequence + 1);
+      assume(second.previous).equals('/first');
+    });
+
+    it('adds the device and connection of the user', function () {
+      const navigator = global.navigator;
+
+      global.navigator = {
+        connection: { effectiveType: '4g', rtt: 50, saveData: false, downlink: 10 },
+        deviceMemory: 8,
+        hardwareConcurrency: 4
+      };
+
+      const context = enrich(soft(), '/');
+
+      global.navigator = navigator;
+
+      assume(context.connection).deep.equals({ effectiveType: '4g', rtt: 50, saveData: false });
+      assume(context.deviceMemory).equals(8);
+      assume(context.hardwareConcurrency).equals(4);
+      assume(context.viewport.width).equals(global.innerWidth);
+      assume(context.viewport.height).equals(global.innerHeight);
+    });
+
+    it('uses null for unknown device information', function () {
+      const navigator = global.navigator;
+
+      global.navigator = {};
+
+      const context = enrich(soft(), '/');
+
+      global.navigator = navigator;
+
+      assume(context.connection).is.a('null');
+      assume(context.deviceMemory).is.a('null');
+      assume(context.hardwareConcurrency).is.a('null');
+    });
+  });
+
+  describe('trigger', function () {
+    let unlisten;
+
+    beforeEach(function () {
+      unlisten = listen();
+    });
+
+    afterEach(function () {
+      unlisten();
+    });
+
+    it('uses the navigation timing for the initial page load', function () {
+      polyfill();
+      global.performance.getEntriesByType = () => [{ entryType: 'navigation', type: 'reload' }];
+
+      assume(enrich({ hard: true, start: Date.now() }, '/').trigger).equals('reload');
+
+      global.performance.getEntriesByType = () => [];
+      assume(enrich({ hard: true, start: Date.now() }, '/').trigger).equals('navigate');
+    });
+
+    it('defaults to script', function () {
+      assume(enrich(soft(), '/').trigger).equals('script');
+    });
+
+    it('detects clicks on links', function () {
+      const link = global.document.createElement('a');
+
+      link.href = '#link';
+      global.document.body.appendChild(link);
+      link.dispatchEvent(new global.window.MouseEvent('click', { bubbles: true }));
+      global.document.body.removeChild(link);
+
+      assume(enrich(soft(), '/').trigger).equals('link');
+    });
+
+    it('ignores clicks elsewhere', function () {
+      global.document.body.dispatchEvent(new global.window.MouseEvent('click', { bubbles: true }));
+
+      assume(enrich(soft(), '/').trigger).equals('script');
+    });
+
+    it('detects the back and forward buttons', function () {
+      global.window.dispatchEvent(new global.window.Event('popstate'));
+
+      assume(enrich(soft(), '/').trigger).equals('back_forward');
+    });
+
+    it('ignores interactions that happened long before the navigation', function () {
+      global.window.dispatchEvent(new global.window.Event('popstate'));
+
+      assume(enrich({ ...soft(), start: Date.now() + 2000 }, '/').trigger).equals('script');
+    });
+  });
+
+  describe('#register', function () {
+    it('adds the context of the providers', function () {
+      let received;
+      const unregister = register((navigation) => {
+        received = navigation;
+        return { experiment: 'b' };
+      });
+
+      const context = enrich(soft(), '/');
+
+      unregister();
+
+      assume(context.experiment).equals('b');
+      assume(received).deep.equals({ id: 'soft', url: '/soft', hard: false });
+      assume(enrich(soft(), '/')).does.not.have.property('experiment');
+    });
+
+    it('isolates the providers that fail', function () {
+      const captured = warnings();
+      const first = register(() => {
+        throw new Error('broken');
+      });
+      const second = register(() => ({ team: 'rum' }));
+
+      const context = enrich(soft(), '/');
+
+      first();
+      second();
+      captured.restore();
+
+      assume(context.team).equals('rum');
+      assume(captured.messages).deep.equals(['next-rum: A context provider failed: broken']);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import format, { l1, l2 } from '../formats';
+import polyfill from './polyfill';
+import assume from 'assume';
+
+describe('formats', function () {
+  const origin = 1000000;
+  const start = origin + 5000;
+
+  /**
+   * The RUM timing of a soft navigation.
+   *
+   * @returns {Object} The timing.
+   * @private
+   */
+  function soft() {
+    return {
+      navigationStart: start,
+      fetchStart: start,
+      domainLookupStart: start,
+      domainLookupEnd: start,
+      connectStart: start,
+      connectEnd: start,
+      requestStart: start + 10,
+      responseStart: start + 110,
+      responseEnd: start + 150,
+      domLoading: start + 160,
+      domInteractive: start + 200,
+      domContentLoaded: start + 200,
+      domComplete: start + 200,
+      loadEventStart: start + 200,
+      loadEventEnd: start + 900,
+      renderDuration: 40
+    };
+  }
+
+  beforeEach(polyfill);
+
+  describe('#l1', function () {
+    it('returns the timing as-is', function () {
+      const rum = soft();
+
+      assume(l1(rum)).equals(rum);
+    });
+  });
+
+  describe('#l2', function () {
+    it('makes the timing relative to the start of the navigation', function () {
+      const timing = l2(soft(), { hard: false, entries: [], origin });
+
+      assume(timing.startTime).equals(5000);
+      assume(timing.type).equals('soft');
+      assume(timing.fetchStart).equals(0);
+      assume(timing.requestStart).equals(10);
+      assume(timing.responseStart).equals(110);
+      assume(timing.domContentLoadedEventStart).equals(200);
+      assume(timing.loadEventEnd).equals(900);
+      assume(timing).does.not.have.property('navigationStart');
+      assume(timing).does.not.have.property('hydrationStart');
+    });
+
+    it('adds the derived metrics', function () {
+      const timing = l2(soft(), { hard: false, entries: [], origin });
+
+      assume(timing.ttfb).equals(110);
+      assume(timing.dataFetch).equals(140);
+      assume(timing.render).equals(40);
+      assume(timing.duration).equals(900);
+    });
+
+    it('estimates the render time without the Next.js metrics', function () {
+      const rum = soft();
+
+      delete rum.renderDuration;
+
+      assume(l2(rum, { hard: false, origin }).render).equals(40);
+    });
+
+    it('sums the transferSize of the entries', function () {
+      const entries = [{ transferSize: 300 }, { transferSize: 0 }, {}, { transferSize: 200 }];
+
+      assume(l2(soft(), { hard: false, entries, origin }).transferSize).equals(500);
+    });
+
+    it('uses the document for the initial page load', function () {
+      const rum = { ...soft(), hydrationStart: start + 300, hydrationDuration: 120 };
+
+      delete rum.renderDuration;
+      global.performance.getEntriesByType = () => [{
+        entryType: 'navigation',
+        type: 'reload',
+        transferSize: 1000
+      }];
+
+      const timing = l2(rum, { hard: true, entries: [{ transferSize: 24 }], origin });
+
+      assume(timing.type).equals('reload');
+      assume(timing.transferSize).equals(1024);
+      assume(timing.hydrationStart).equals(300);
+      assume(timing.hydrationDuration).equals(120);
+      assume(timing.render).equals(120);
+    });
+
+    it('defaults to the navigate type', function () {
+      assume(l2(soft(), { hard: true, entries: [], origin }).type).equals('navigate');
+    });
+  });
+
+  describe('#format', function () {
+    it('formats the timing', function () {
+      const rum = soft();
+
+      assume(format('l1', rum, { origin })).equals(rum);
+      assume(format('l2', rum, { origin }).startTime).equals(5000);
+    });
+
+    it('defaults to l1', function () {
+      const rum = soft();
+
+      assume(format(null, rum, { origin })).equals(rum);
+      assume(format('l3', rum, { origin })).equals(rum);
+    });
+  });
+});
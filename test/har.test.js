@@ -0,0 +1,235 @@
+import har, { download, attach } from '../har';
+import { warnings } from './polyfill';
+import { transform } from '../plugins';
+import assume from 'assume';
+
+describe('har', function () {
+  const origin = 1600000000000;
+  const start = origin + 1000;
+
+  /**
+   * A payload of a soft navigation, with a same-origin resource that exposes
+   * all phases, and a cross-origin resource that only exposes start and end.
+   *
+   * @returns {Object} The payload.
+   * @private
+   */
+  function payload() {
+    return {
+      id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      path: '/products/1',
+      route: '/products/[id]',
+      hard: false,
+      status: 'complete',
+      rum: {
+        navigationStart: start,
+        domContentLoaded: start + 300,
+        loadEventEnd: start + 400
+      },
+      entries: [{
+        name: 'https://example.com/_next/data/products/1.json',
+        initiatorType: 'fetch',
+        nextHopProtocol: 'h2',
+        responseStatus: 200,
+        startTime: start + 10,
+        fetchStart: start + 10,
+        domainLookupStart: start + 15,
+        domainLookupEnd: start + 20,
+        connectStart: start + 20,
+        secureConnectionStart: start + 30,
+        connectEnd: start + 40,
+        requestStart: start + 42,
+        responseStart: start + 100,
+        responseEnd: start + 120,
+        transferSize: 1300,
+        encodedBodySize: 1000,
+        decodedBodySize: 4000
+      }, {
+        name: 'https://cdn.example.org/hero.jpg',
+        initiatorType: 'img',
+        nextHopProtocol: '',
+        startTime: start + 150,
+        fetchStart: start + 150,
+        domainLookupStart: origin,
+        domainLookupEnd: origin,
+        connectStart: origin,
+        secureConnectionStart: origin,
+        connectEnd: origin,
+        requestStart: origin,
+        responseStart: origin,
+        responseEnd: start + 250,
+        transferSize: 0,
+        encodedBodySize: 0,
+        decodedBodySize: 0
+      }]
+    };
+  }
+
+  describe('#har', function () {
+    it('creates a HAR 1.2 document', function () {
+      const { log } = har(payload());
+
+      assume(log.version).equals('1.2');
+      assume(log.creator.name).equals('next-rum');
+      assume(log.pages).is.length(1);
+      assume(log.entries).is.length(2);
+    });
+
+    it('keys the pages by navigation', function () {
+      const second = { ...payload(), id: 'second', path: '/cart' };
+      const { log } = har([payload(), second]);
+
+      assume(log.pages.map((page) => page.id)).deep.equals(['0f8fad5b-d9cb-469f-a165-70867728950e', 'second']);
+      assume(log.entries.map((entry) => entry.pageref)).deep.equals([
+        '0f8fad5b-d9cb-469f-a165-70867728950e',
+        '0f8fad5b-d9cb-469f-a165-70867728950e',
+        'second',
+        'second'
+      ]);
+
+      assume(log.pages[0]).deep.equals({
+        startedDateTime: new Date(start).toISOString(),
+        id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+        title: '/products/1',
+        pageTimings: { onContentLoad: 300, onLoad: 400 },
+        _route: '/products/[id]',
+        _hard: false,
+        _status: 'complete'
+      });
+    });
+
+    it('splits the resources in their timing phases', function () {
+      const [entry] = har(payload()).log.entries;
+
+      assume(entry.startedDateTime).equals(new Date(start + 10).toISOString());
+      assume(entry.timings).deep.equals({
+        blocked: 5,
+        dns: 5,
+        connect: 20,
+        ssl: 10,
+        send: 0,
+        wait: 58,
+        receive: 20
+      });
+      assume(entry.time).equals(108);
+      assume(entry.request.url).equals('https://example.com/_next/data/products/1.json');
+      assume(entry.request.httpVersion).equals('HTTP/2');
+      assume(entry.response.status).equals(200);
+      assume(entry.response.bodySize).equals(1000);
+      assume(entry.response.content.size).equals(4000);
+      assume(entry._initiatorType).equals('fetch');
+    });
+
+    it('uses the entire duration of cross-origin resources as receive', function () {
+      const entry = har(payload()).log.entries[1];
+
+      assume(entry.timings).deep.equals({
+        blocked: -1,
+        dns: -1,
+        connect: -1,
+        ssl: -1,
+        send: 0,
+        wait: 0,
+        receive: 100
+      });
+      assume(entry.time).equals(100);
+      assume(entry.response.status).equals(0);
+      assume(entry.response.bodySize).equals(-1);
+    });
+
+    it('marks unknown page timings as -1', function () {
+      const data = payload();
+
+      delete data.rum.loadEventEnd;
+
+      assume(har(data).log.pages[0].pageTimings).deep.equals({ onContentLoad: 300, onLoad: -1 });
+    });
+
+    it('skips payloads without EPOCH timing', function () {
+      const captured = warnings();
+
+      try {
+        const { log } = har({ id: 'foo', rum: { startTime: 100 }, entries: [] });
+
+        assume(log.pages).is.length(0);
+        assume(captured.messages).deep.equals(['next-rum: The HAR export requires the timing in the l1 format']);
+      } finally {
+        captured.restore();
+      }
+    });
+  });
+
+  describe('#download', function () {
+    const createObjectURL = global.URL.createObjectURL;
+    const revokeObjectURL = global.URL.revokeObjectURL;
+    let revoked;
+    let clicked;
+
+    beforeEach(function () {
+      revoked = [];
+      clicked = [];
+
+      global.URL.createObjectURL = () => 'blob:next-rum';
+      global.URL.revokeObjectURL = (url) => revoked.push(url);
+    });
+
+    afterEach(function () {
+      global.URL.createObjectURL = createObjectURL;
+      global.URL.revokeObjectURL = revokeObjectURL;
+    });
+
+    it('downloads the HAR document during development', function (next) {
+      const create = document.createElement;
+
+      document.createElement = function (name) {
+        const element = create.call(document, name);
+
+        element.click = () => clicked.push({ href: element.href, download: element.download });
+        return element;
+      };
+
+      try {
+        assume(download(payload(), 'products.har')).is.true();
+      } finally {
+        document.createElement = create;
+      }
+
+      assume(clicked).deep.equals([{ href: 'blob:next-rum', download: 'products.har' }]);
+      assume(revoked).is.length(0);
+      assume(document.querySelectorAll('a[download]')).is.length(0);
+
+      setTimeout(function () {
+        assume(revoked).deep.equals(['blob:next-rum']);
+        next();
+      }, 0);
+    });
+
+    it('is not available in production', function () {
+      const env = process.env.NODE_ENV; // eslint-disable-line no-process-env
+
+      process.env.NODE_ENV = 'production'; // eslint-disable-line no-process-env
+
+      try {
+        assume(download(payload())).is.false();
+      } finally {
+        if (typeof env === 'string') process.env.NODE_ENV = env; // eslint-disable-line no-process-env
+        else delete process.env.NODE_ENV; // eslint-disable-line no-process-env
+      }
+    });
+  });
+
+  describe('#attach', function () {
+    it('attaches the HAR document to the payload', function () {
+      const result = transform([attach()], payload());
+
+      assume(result.har.log.pages[0].id).equals('0f8fad5b-d9cb-469f-a165-70867728950e');
+      assume(result.har.log.entries).is.length(2);
+    });
+
+    it('only attaches it on demand', function () {
+      const slow = attach((data) => data.rum.loadEventEnd - data.rum.navigationStart > 1000);
+
+      assume(transform([slow], payload())).does.not.include('har');
+    });
+  });
+});
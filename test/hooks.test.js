@@ -0,0 +1,66 @@
+import { RUMContext, useRUM } from '../hooks';
+import { mount } from 'enzyme';
+import assume from 'assume';
+import React from 'react';
+
+describe('hooks', function () {
+  describe('#useRUM', function () {
+    let api;
+
+    /**
+     * Small component that exposes the result of the hook.
+     *
+     * @returns {Element} The path of the last payload.
+     * @private
+     */
+    function Consumer() {
+      api = useRUM();
+
+      return <span>{ api.last ? api.last.path : 'none' }</span>;
+    }
+
+    it('provides a noop API when used without a provider', function () {
+      const enzyme = mount(<Consumer />);
+
+      assume(enzyme.html()).equals('<span>none</span>');
+      assume(api.last).is.a('null');
+      assume(api.subscribe(() => {})).is.a('function');
+      assume(api.get('foo')).is.a('undefined');
+
+      api.attach('foo', 'bar');
+      api.set('foo');
+      api.mark('foo');
+
+      enzyme.unmount();
+    });
+
+    it('re-renders when a new payload is assembled', function () {
+      const listeners = [];
+      const value = {
+        last: { path: '/first' },
+        subscribe: (fn) => {
+          listeners.push(fn);
+
+          return () => listeners.splice(listeners.indexOf(fn), 1);
+        }
+      };
+
+      const enzyme = mount(
+        <RUMContext.Provider value={ value }>
+          <Consumer />
+        </RUMContext.Provider>
+      );
+
+      assume(enzyme.html()).equals('<span>/first</span>');
+      assume(listeners).is.length(1);
+
+      listeners[0]({ path: '/second' });
+
+      assume(enzyme.html()).equals('<span>/second</span>');
+      assume(api.last.path).equals('/second');
+
+      enzyme.unmount();
+      assume(listeners).is.length(0);
+    });
+  });
+});
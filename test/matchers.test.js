@@ -0,0 +1,113 @@
+import { manifest, defaults, compile } from '../matchers';
+import assume from 'assume';
+
+describe('matchers', function () {
+  afterEach(function () {
+    delete global.__BUILD_MANIFEST;
+  });
+
+  describe('#manifest', function () {
+    it('returns null when there is no build manifest', function () {
+      assume(manifest('/account')).is.a('null');
+    });
+
+    it('returns the JavaScript files of the route', function () {
+      global.__BUILD_MANIFEST = {
+        '/account': ['static/chunks/pages/account-3f2a.js', 'static/css/account.css']
+      };
+
+      assume(manifest('/account')).deep.equals(['/_next/static/chunks/pages/account-3f2a.js']);
+      assume(manifest('/missing')).is.a('null');
+    });
+  });
+
+  describe('#defaults', function () {
+    describe('.page', function () {
+      it('matches the legacy page bundles', function () {
+        const entry = { name: 'http://example.com/_next/-/page/_error.js' };
+
+        assume(defaults.page(entry, {})).is.true();
+        assume(defaults.page(entry, { route: '/account' })).is.true();
+      });
+
+      it('matches the page chunk of the route', function () {
+        const entry = { name: 'http://example.com/_next/static/chunks/pages/account/%5Bid%5D-3f2a.js' };
+
+        assume(defaults.page(entry, { route: '/account/[id]' })).is.true();
+        assume(defaults.page(entry, { route: '/account' })).is.false();
+        assume(defaults.page(entry, {})).is.true();
+      });
+
+      it('matches the index page', function () {
+        const entry = { name: 'http://example.com/_next/static/chunks/pages/index-3f2a.js' };
+
+        assume(defaults.page(entry, { route: '/' })).is.true();
+      });
+
+      it('prefers the files from the build manifest', function () {
+        global.__BUILD_MANIFEST = {
+          '/account': ['static/chunks/framework.js', 'static/chunks/pages/account-3f2a.js']
+        };
+
+        const context = { route: '/account' };
+        const chunk = (name) => ({ name: `http://example.com/_next/static/chunks/${name}.js` });
+
+        assume(defaults.page(chunk('pages/account-3f2a'), context)).is.true();
+        assume(defaults.page(chunk('pages/account-9999'), context)).is.false();
+        assume(defaults.page(chunk('framework'), context)).is.false();
+      });
+    });
+
+    describe('.data', function () {
+      it('matches the data request of the path', function () {
+        const entry = { name: 'http://example.com/_next/data/build-id/account/12.json?tab=1' };
+
+        assume(defaults.data(entry, { path: '/account/12?tab=1' })).is.true();
+        assume(defaults.data(entry, { path: '/account/13' })).is.false();
+        assume(defaults.data(entry, {})).is.true();
+      });
+
+      it('matches the data request of the index page', function () {
+        const entry = { name: 'http://example.com/_next/data/build-id/index.json' };
+
+        assume(defaults.data(entry, { path: '/' })).is.true();
+      });
+
+      it('ignores other resources', function () {
+        assume(defaults.data({ name: 'http://example.com/api/account.json' }, {})).is.false();
+      });
+    });
+  });
+
+  describe('#compile', function () {
+    const entry = { name: 'http://example.com/api/account' };
+
+    it('compiles a RegExp', function () {
+      const regexp = /\/api\//g;
+      const matches = compile(regexp, {});
+
+      assume(matches(entry)).is.true();
+      assume(matches(entry)).is.true();
+      assume(matches({ name: 'http://example.com/' })).is.false();
+    });
+
+    it('compiles a function that receives the context', function () {
+      const context = { path: '/account', route: '/account' };
+      const matches = compile((item, ctx) => {
+        assume(item).equals(entry);
+        assume(ctx).equals(context);
+
+        return 1;
+      }, context);
+
+      assume(matches(entry)).is.true();
+    });
+
+    it('compiles an array of matchers', function () {
+      const matches = compile([/\/graphql/, (item) => /\/api\//.test(item.name)], {});
+
+      assume(matches(entry)).is.true();
+      assume(matches({ name: 'http://example.com/' })).is.false();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { track, summarize, blocking } from '../metrics';
+import { timeOrigin } from '../purrformance';
+import { begin } from '../navigations';
+import { observer } from './polyfill';
+import assume from 'assume';
+
+describe('metrics', function () {
+  const types = [
+    'largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'paint',
+    'longtask', 'long-animation-frame'
+  ];
+  let navigation;
+  let untrack;
+  let fake;
+
+  /**
+   * The high resolution time of given offset from the start of the navigation.
+   *
+   * @param {Number} offset Offset in ms.
+   * @returns {Number} The high resolution time.
+   * @private
+   */
+  function at(offset) {
+    return navigation.start - timeOrigin() + offset;
+  }
+
+  beforeEach(function () {
+    fake = observer(types);
+    untrack = track();
+    navigation = begin('/metrics');
+  });
+
+  afterEach(function () {
+    untrack();
+    fake.restore();
+  });
+
+  describe('#track', function () {
+    it('observes all the entry types', function () {
+      assume(fake.observers.map((instance) => instance.options.type)).deep.equals(types);
+      assume(fake.observers[2].options.durationThreshold).equals(16);
+      assume(fake.observers[0].options.buffered).is.true();
+    });
+
+    it('shares the observers between trackers', function () {
+      const again = track();
+
+      assume(fake.observers).is.length(types.length);
+
+      again();
+      again();
+
+      assume(fake.observers).is.length(types.length);
+    });
+
+    it('stops observing when nobody is tracking', function () {
+      untrack();
+
+      assume(fake.observers).is.length(0);
+    });
+  });
+
+  describe('#summarize', function () {
+    it('returns null for metrics that are not measured', function () {
+      assume(summarize(navigation)).deep.equals({ lcp: null, cls: null, inp: null, fcp: null });
+    });
+
+    it('uses the last largest-contentful-paint candidate', function () {
+      fake.emit('largest-contentful-paint', [{ startTime: at(100) }, { startTime: at(300) }]);
+
+      assume(summarize(navigation).lcp).equals(300);
+    });
+
+    it('accumulates layout shifts without recent input', function () {
+      fake.emit('layout-shift', [
+        { startTime: at(10), value: 0.1 },
+        { startTime: at(20), value: 0.5, hadRecentInput: true },
+        { startTime: at(30), value: 0.05 }
+      ]);
+
+      assume(summarize(navigation).cls).is.within(0.149, 0.151);
+    });
+
+    it('uses the worst interaction latency', function () {
+      fake.emit('first-input', [{ startTime: at(10), duration: 40 }]);
+      fake.emit('event', [
+        { startTime: at(20), duration: 200, interactionId: 1 },
+        { startTime: at(30), duration: 400 },
+        { startTime: at(40), duration: 80, interactionId: 2 }
+      ]);
+
+      assume(summarize(navigation).inp).equals(200);
+    });
+
+    it('uses the first-contentful-paint', function () {
+      fake.emit('paint', [
+        { startTime: at(50), name: 'first-paint' },
+        { startTime: at(60), name: 'first-contentful-paint' }
+      ]);
+
+      assume(summarize(navigation).fcp).equals(60);
+    });
+
+    it('attributes the entries to the navigation they belong to', function () {
+      const following = begin('/following');
+
+      following.start = navigation.start + 1000;
+
+      fake.emit('layout-shift', [
+        { startTime: at(10), value: 0.1 },
+        { startTime: at(1010), value: 0.2 }
+      ]);
+
+      assume(summarize(navigation).cls).equals(0.1);
+      assume(summarize(following).cls).equals(0.2);
+    });
+  });
+
+  describe('#blocking', function () {
+    it('sums the blocking time of the long tasks', function () {
+      fake.emit('longtask', [
+        { startTime: at(10), duration: 120 },
+        { startTime: at(200), duration: 60 },
+        { startTime: at(300), duration: 50 }
+      ]);
+
+      const result = blocking(navigation);
+
+      assume(result.tbt).equals(80);
+      assume(result.longest).equals(120);
+      assume(result.count).equals(3);
+    });
+
+    it('is empty when nothing blocked the main thread', function () {
+      assume(blocking(navigation)).deep.equals({ tbt: 0, longest: 0, count: 0, scripts: [] });
+    });
+
+    it('attributes the time to the scripts of long animation frames', function () {
+      const script = { sourceURL: 'https://cdn.example.com/ads.js', sourceFunctionName: 'render', invoker: 'TimerHandler' };
+
+      fake.emit('long-animation-frame', [
+        { startTime: at(10), duration: 100, blockingDuration: 40, scripts: [{ ...script, duration: 70 }] },
+        { startTime: at(200), duration: 90, blockingDuration: 30, scripts: [
+          { ...script, duration: 60 },
+          { sourceURL: 'https://example.com/app.js', sourceFunctionName: '', invoker: 'click', duration: 20 }
+        ] }
+      ]);
+
+      assume(blocking(navigation).scripts).deep.equals([
+        { url: 'https://cdn.example.com/ads.js', fn: 'render', invoker: 'TimerHandler', count: 2, duration: 130 },
+        { url: 'https://example.com/app.js', fn: '', invoker: 'click', count: 1, duration: 20 }
+      ]);
+    });
+
+    it('uses the long animation frames without long task support', function () {
+      fake.restore();
+      untrack();
+
+      fake = observer(['long-animation-frame']);
+      untrack = track();
+
+      fake.emit('long-animation-frame', [{ startTime: at(10), duration: 150, blockingDuration: 100 }]);
+
+      const result = blocking(navigation);
+
+      assume(result.tbt).equals(100);
+      assume(result.longest).equals(150);
+      assume(result.count).equals(1);
+    });
+
+    it('is null when blocking is not measurable', function () {
+      fake.restore();
+      untrack();
+
+      fake = observer([]);
+      untrack = track();
+
+      assume(blocking(navigation)).deep.equals({ tbt: null, longest: null, count: null, scripts: [] });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { begin, find, initial, claim, release } from '../navigations';
+import { warnings } from './polyfill';
+import assume from 'assume';
+
+describe('navigations', function () {
+  describe('#begin', function () {
+    it('creates a navigation with a unique id', function () {
+      const first = begin('/first');
+      const second = begin('/second');
+
+      assume(first.id).is.a('string');
+      assume(first.id).does.not.equal(second.id);
+      assume(first.url).equals('/first');
+      assume(first.start).is.atmost(Date.now());
+      assume(first.vitals).deep.equals({});
+      assume(first.hard).is.false();
+    });
+
+    it('starts the initial page load at the given time', function () {
+      const navigation = begin('/', { start: 1000, hard: true });
+
+      assume(navigation.start).equals(1000);
+      assume(navigation.hard).is.true();
+    });
+  });
+
+  describe('#initial', function () {
+    it('only measures the initial page load once', function () {
+      initial();
+
+      assume(initial()).is.false();
+      assume(initial()).is.false();
+    });
+  });
+
+  describe('#find', function () {
+    it('finds the navigation that was active at a given time', function () {
+      const first = begin('/first');
+      const second = begin('/second');
+
+      first.start = Date.now() - 1000;
+      second.start = Date.now();
+
+      assume(find(Date.now() - first.origin - 500)).equals(first);
+      assume(find(Date.now() - first.origin + 500)).equals(second);
+    });
+
+    it('allows the metric to start slightly before the navigation', function () {
+      const navigation = begin('/leeway');
+
+      assume(find(navigation.start - navigation.origin - 10)).equals(navigation);
+    });
+
+    it('matches the time on the clock of the navigation', function () {
+      const navigation = begin('/clock', { start: 1100, origin: 1000 });
+
+      assume(find(100)).equals(navigation);
+      assume(find(40)).does.not.equal(navigation);
+    });
+
+    it('returns nothing for metrics before any navigation', function () {
+      assume(find(-Date.now())).is.a('undefined');
+    });
+  });
+
+  describe('#claim', function () {
+    const first = {};
+    const second = {};
+    let captured;
+
+    beforeEach(function () {
+      captured = warnings();
+    });
+
+    afterEach(function () {
+      captured.restore();
+
+      release(first);
+      release(second);
+    });
+
+    it('only allows a single instance to claim', function () {
+      assume(claim(first)).is.true();
+      assume(claim(first)).is.true();
+      assume(claim(second)).is.false();
+      assume(claim(second)).is.false();
+
+      assume(captured.messages.length).is.atmost(1);
+    });
+
+    it('can be claimed by another instance once released', function () {
+      assume(claim(first)).is.true();
+
+      release(second);
+      assume(claim(second)).is.false();
+
+      release(first);
+      assume(claim(second)).is.true();
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import exporter, { spans, request } from '../otlp';
+import { warnings } from './polyfill';
+import assume from 'assume';
+
+describe('otlp', function () {
+  const start = 1600000000000;
+
+  /**
+   * A payload of a soft navigation, in the `l1` format.
+   *
+   * @returns {Object} The payload.
+   * @private
+   */
+  function payload() {
+    return {
+      id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      path: '/products/1?ref=home',
+      route: '/products/[id]',
+      hard: false,
+      status: 'complete',
+      phase: null,
+      settled: 'quiet',
+      error: null,
+      vitals: { lcp: 1200, cls: 0.05, inp: null, fcp: null },
+      rum: {
+        navigationStart: start,
+        requestStart: start + 10,
+        responseEnd: start + 110.5,
+        domLoading: start + 120,
+        domContentLoaded: start + 300,
+        loadEventEnd: start + 400
+      },
+      entries: [{
+        name: 'https://example.com/hero.jpg',
+        initiatorType: 'img',
+        startTime: start + 150,
+        responseEnd: start + 250,
+        encodedBodySize: 2048,
+        transferSize: 2348
+      }]
+    };
+  }
+
+  /**
+   * Find an attribute of a span.
+   *
+   * @param {Object} span The span.
+   * @param {String} key The key of the attribute.
+   * @returns {Object} The value of the attribute.
+   * @private
+   */
+  function attribute(span, key) {
+    const found = span.attributes.filter((attr) => attr.key === key)[0];
+
+    return found ? found.value : null;
+  }
+
+  describe('#spans', function () {
+    it('turns the navigation into the root span', function () {
+      const [root] = spans(payload());
+
+      assume(root.name).equals('navigation');
+      assume(root.traceId).equals('0f8fad5bd9cb469fa16570867728950e');
+      assume(root.spanId).matches(/^[0-9a-f]{16}$/);
+      assume(root.parentSpanId).is.a('undefined');
+      assume(root.startTimeUnixNano).equals('1600000000000000000');
+      assume(root.endTimeUnixNano).equals('1600000000400000000');
+      assume(root.status).deep.equals({ code: 0 });
+
+      assume(attribute(root, 'url.path')).deep.equals({ stringValue: '/products/1' });
+      assume(attribute(root, 'http.route')).deep.equals({ stringValue: '/products/[id]' });
+      assume(attribute(root, 'next_rum.navigation.type')).deep.equals({ stringValue: 'soft' });
+      assume(attribute(root, 'next_rum.lcp')).deep.equals({ intValue: '1200' });
+      assume(attribute(root, 'next_rum.cls')).deep.equals({ doubleValue: 0.05 });
+      assume(attribute(root, 'next_rum.inp')).is.a('null');
+      assume(attribute(root, 'next_rum.phase')).is.a('null');
+    });
+
+    it('adds child spans for the data fetch, render and resources', function () {
+      const [root, fetch, render, resource] = spans(payload());
+
+      [fetch, render, resource].forEach((span) => {
+        assume(span.traceId).equals(root.traceId);
+        assume(span.parentSpanId).equals(root.spanId);
+      });
+
+      assume(fetch.name).equals('fetch');
+      assume(fetch.kind).equals(3);
+      assume(fetch.startTimeUnixNano).equals('1600000000010000000');
+      assume(fetch.endTimeUnixNano).equals('1600000000110500000');
+
+      assume(render.name).equals('render');
+      assume(render.kind).equals(1);
+      assume(render.startTimeUnixNano).equals('1600000000120000000');
+      assume(render.endTimeUnixNano).equals('1600000000300000000');
+
+      assume(resource.name).equals('resource');
+      assume(attribute(resource, 'url.full')).deep.equals({ stringValue: 'https://example.com/hero.jpg' });
+      assume(attribute(resource, 'http.response.body.size')).deep.equals({ intValue: '2048' });
+      assume(attribute(resource, 'next_rum.resource.initiator_type')).deep.equals({ stringValue: 'img' });
+    });
+
+    it('splits the path in the path and query of the URL', function () {
+      const [root, fetch] = spans(payload());
+
+      [root, fetch].forEach((span) => {
+        assume(attribute(span, 'url.path')).deep.equals({ stringValue: '/products/1' });
+        assume(attribute(span, 'url.query')).deep.equals({ stringValue: 'ref=home' });
+      });
+
+      assume(attribute(spans({ ...payload(), path: '/products/1' })[0], 'url.query')).is.a('null');
+    });
+
+    it('leaves out the phases that are unknown', function () {
+      const data = payload();
+
+      delete data.rum.requestStart;
+      data.entries = [];
+
+      assume(spans(data).map((span) => span.name)).deep.equals(['navigation', 'render']);
+    });
+
+    it('marks failed navigations with an error status', function () {
+      const data = payload();
+
+      data.status = 'error';
+      data.error = { name: 'Error', message: 'Failed to load' };
+
+      assume(spans(data)[0].status).deep.equals({ code: 2, message: 'Failed to load' });
+    });
+
+    it('generates a trace id when the navigation id is not a UUID', function () {
+      const data = payload();
+
+      data.id = 'k2j3h4';
+
+      assume(spans(data)[0].traceId).matches(/^[0-9a-f]{32}$/);
+    });
+
+    it('requires the timing as EPOCH', function () {
+      assume(spans({ rum: { startTime: 100, duration: 400 }})).deep.equals([]);
+    });
+  });
+
+  describe('#request', function () {
+    it('wraps the spans in an export request', function () {
+      const body = request(payload(), { service: 'shop', resource: { 'deployment.environment': 'test' }});
+      const [resourceSpans] = body.resourceSpans;
+
+      assume(resourceSpans.resource.attributes).deep.equals([
+        { key: 'service.name', value: { stringValue: 'shop' }},
+        { key: 'telemetry.sdk.name', value: { stringValue: 'next-rum' }},
+        { key: 'telemetry.sdk.language', value: { stringValue: 'webjs' }},
+        { key: 'deployment.environment', value: { stringValue: 'test' }}
+      ]);
+
+      assume(resourceSpans.scopeSpans[0].scope).deep.equals({ name: 'next-rum' });
+      assume(resourceSpans.scopeSpans[0].spans).is.length(4);
+    });
+  });
+
+  describe('#exporter', function () {
+    let collected;
+    let captured;
+
+    /**
+     * A stand-in for the collector, it stores the requests it receives.
+     *
+     * @param {String} url The URL of the collector.
+     * @param {Object} options The request options.
+     * @returns {Promise} The response.
+     * @private
+     */
+    function collector(url, options) {
+      collected.push({ url, ...options, body: JSON.parse(options.body) });
+
+      return Promise.resolve({ ok: true, status: 200 });
+    }
+
+    beforeEach(function () {
+      collected = [];
+      captured = warnings();
+    });
+
+    afterEach(function () {
+      captured.restore();
+    });
+
+    it('is a plugin', function () {
+      const plugin = exporter({ url: 'http://localhost:4318/v1/traces', fetch: collector });
+
+      assume(plugin.name).equals('otlp');
+      assume(plugin.send).is.a('function');
+    });
+
+    it('posts the spans to the collector', function () {
+      exporter({
+        url: 'http://localhost:4318/v1/traces',
+        service: 'shop',
+        headers: { authorization: 'Bearer foo' },
+        fetch: collector
+      }).send(payload());
+
+      assume(collected).is.length(1);
+
+      const [req] = collected;
+
+      assume(req.url).equals('http://localhost:4318/v1/traces');
+      assume(req.method).equals('POST');
+      assume(req.keepalive).is.true();
+      assume(req.headers).deep.equals({ 'content-type': 'application/json', 'authorization': 'Bearer foo' });
+      assume(req.body.resourceSpans[0].scopeSpans[0].spans.map((span) => span.name)).deep.equals([
+        'navigation', 'fetch', 'render', 'resource'
+      ]);
+    });
+
+    it('only uses keepalive for requests that fit in its quota', function () {
+      const data = payload();
+      const [entry] = data.entries;
+
+      data.entries = Array.from({ length: 500 }, (value, i) => ({ ...entry, name: `https://example.com/${i}.jpg` }));
+
+      exporter({ url: 'http://localhost:4318/v1/traces', fetch: collector }).send(data);
+
+      assume(collected).is.length(1);
+      assume(collected[0].keepalive).is.false();
+    });
+
+    it('fails when the collector rejects the spans', function () {
+      const plugin = exporter({
+        url: 'http://localhost:4318/v1/traces',
+        fetch: () => Promise.resolve({ ok: false, status: 429 })
+      });
+
+      return plugin.send(payload()).then(() => {
+        throw new Error('The send should have failed');
+      }, (e) => {
+        assume(e.message).equals('The collector responded with 429');
+      });
+    });
+
+    it('does not post payloads in the l2 format', function () {
+      exporter({ url: 'http://localhost:4318/v1/traces', fetch: collector }).send({
+        id: 'foo',
+        rum: { startTime: 100, duration: 400 }
+      });
+
+      assume(collected).is.length(0);
+      assume(captured.messages).deep.equals(['next-rum: The OTLP exporter requires the timing in the l1 format']);
+    });
+  });
+});
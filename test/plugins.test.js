@@ -0,0 +1,109 @@
+import { notify, transform, filter, senders } from '../plugins';
+import { warnings } from './polyfill';
+import assume from 'assume';
+
+describe('plugins', function () {
+  let captured;
+
+  beforeEach(function () {
+    captured = warnings();
+  });
+
+  afterEach(function () {
+    captured.restore();
+  });
+
+  /**
+   * A plugin that throws in every hook.
+   *
+   * @type {Object}
+   * @private
+   */
+  const broken = ['onStart', 'transform', 'filter', 'send'].reduce((memo, hook) => {
+    memo[hook] = () => {
+      throw new Error(`broken ${hook}`);
+    };
+
+    return memo;
+  }, { name: 'broken' });
+
+  describe('#notify', function () {
+    it('calls the hook of each plugin, in order', function () {
+      const calls = [];
+
+      notify([
+        { onStart: (navigation) => calls.push(['first', navigation.id]) },
+        { onRender: () => calls.push(['render']) },
+        broken,
+        { onStart: (navigation) => calls.push(['second', navigation.id]) }
+      ], 'onStart', { id: 'foo' });
+
+      assume(calls).deep.equals([['first', 'foo'], ['second', 'foo']]);
+      assume(captured.messages).deep.equals(['next-rum: The broken plugin failed in onStart: broken onStart']);
+    });
+
+    it('accepts a missing list of plugins', function () {
+      assume(() => notify(null, 'onStart', {})).does.not.throw();
+    });
+  });
+
+  describe('#transform', function () {
+    it('passes the payload through each transform', function () {
+      const payload = transform([
+        { transform: (memo) => ({ ...memo, first: true }) },
+        broken,
+        { transform: () => null },
+        { transform: (memo) => ({ ...memo, second: memo.first }) }
+      ], { id: 'foo' });
+
+      assume(payload).deep.equals({ id: 'foo', first: true, second: true });
+    });
+  });
+
+  describe('#filter', function () {
+    it('requires every filter to agree', function () {
+      assume(filter([{ filter: () => true }, broken], {})).is.true();
+      assume(filter([{ filter: () => true }, { filter: () => false }], {})).is.false();
+      assume(filter([], {})).is.true();
+    });
+  });
+
+  describe('#senders', function () {
+    it('names the transports after the plugins', function () {
+      const transports = senders([
+        broken,
+        { name: 'otlp', send: () => true },
+        { name: 'otlp', send: () => true },
+        { send: () => true },
+        { name: 'quiet' }
+      ]);
+
+      assume(Object.keys(transports)).deep.equals(['plugin:broken', 'plugin:otlp', 'plugin:otlp:2', 'plugin:3']);
+    });
+
+    it('hands the payload to the plugin', function () {
+      const sent = [];
+      const transports = senders([{ name: 'sync', send: (payload) => sent.push(payload.id) }]);
+
+      transports['plugin:sync']({ id: 'foo' });
+
+      assume(sent).deep.equals(['foo']);
+    });
+
+    it('reports the failed deliveries', function () {
+      const transports = senders([
+        broken,
+        { name: 'retried', send: () => Promise.reject(new Error('offline')) }
+      ]);
+
+      assume(transports['plugin:broken']({ id: 'foo' })).is.false();
+
+      return transports['plugin:retried']({ id: 'foo' }).then(() => {
+        throw new Error('The delivery should have failed');
+      }, (e) => {
+        assume(e.message).equals('offline');
+        assume(captured.messages).includes('next-rum: The retried plugin failed in send: offline');
+      });
+    });
+  });
+});
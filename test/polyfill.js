@@ -1,3 +1,4 @@
+/* eslint-disable no-console */
 import EventEmitter from 'events';
 
 /**
@@ -72,3 +73,76 @@ export default function polyfill() {
     }
   });
 }
+
+/**
+ * Creates a fake `PerformanceObserver` so we can emit performance entries
+ * in our test suite.
+ *
+ * @param {Array} types The entry types that are supported.
+ * @returns {Object} Allows you to `emit` entries and `restore` the global.
+ * @public
+ */
+export function observer(types) {
+  const original = global.PerformanceObserver;
+  const observers = [];
+
+  /**
+   * The fake observer.
+   *
+   * @param {Function} fn Receives the entry list.
+   * @private
+   */
+  function PerformanceObserver(fn) {
+    this.fn = fn;
+    this.options = null;
+  }
+
+  PerformanceObserver.supportedEntryTypes = types;
+
+  PerformanceObserver.prototype.observe = function (options) {
+    this.options = options;
+    observers.push(this);
+  };
+
+  PerformanceObserver.prototype.disconnect = function () {
+    observers.splice(observers.indexOf(this), 1);
+  };
+
+  global.PerformanceObserver = PerformanceObserver;
+
+  return {
+    observers,
+
+    emit(type, entries) {
+      observers.filter((instance) => instance.options.type === type).forEach((instance) => {
+        instance.fn({ getEntries: () => entries });
+      });
+    },
+
+    restore() {
+      global.PerformanceObserver = original;
+    }
+  };
+}
+
+/**
+ * Captures the warnings that are written to the console, so we can assert
+ * them without cluttering the output of the test suite.
+ *
+ * @returns {Object} The captured `messages` and a `restore` of the console.
+ * @public
+ */
+export function warnings() {
+  const original = console.warn;
+  const messages = [];
+
+  console.warn = (message) => messages.push(message);
+
+  return {
+    messages,
+
+    restore() {
+      console.warn = original;
+    }
+  };
+}
@@ -1,5 +1,5 @@
-import purrformance, { entries, find, timeOrigin, prefix } from '../purrformance';
-import polyfill from './polyfill';
+import purrformance, { entries, find, timeOrigin, timing, prefix, observe, collect, supports } from '../purrformance';
+import polyfill, { observer } from './polyfill';
 import assume from 'assume';
 
 beforeEach(polyfill);
@@ -10,6 +10,10 @@ describe('purrformance', function () {
     assume(purrformance.entries).equals(entries);
     assume(purrformance.prefix).equals(prefix);
     assume(purrformance.find).equals(find);
+    assume(purrformance.observe).equals(observe);
+    assume(purrformance.collect).equals(collect);
+    assume(purrformance.supports).equals(supports);
+    assume(purrformance.timing).equals(timing);
   });
 
   describe('#timeOrigin', function () {
@@ -118,6 +122,184 @@ describe('purrformance', function () {
     });
   });
 
+  describe('#observe', function () {
+    let fake;
+
+    beforeEach(function () {
+      fake = observer(['resource']);
+    });
+
+    afterEach(function () {
+      fake.restore();
+    });
+
+    it('observes the buffered entries of the given type', function () {
+      const received = [];
+      const disconnect = observe('resource', (list) => received.push(...list), { foo: 'bar' });
+
+      assume(fake.observers).is.length(1);
+      assume(fake.observers[0].options).deep.equals({ type: 'resource', buffered: true, foo: 'bar' });
+
+      fake.emit('resource', [{ name: 'foo' }]);
+      assume(received).deep.equals([{ name: 'foo' }]);
+
+      disconnect();
+      assume(fake.observers).is.length(0);
+    });
+
+    it('does nothing for unsupported entry types', function () {
+      const disconnect = observe('longtask', () => {});
+
+      assume(fake.observers).is.length(0);
+      assume(disconnect).is.a('function');
+
+      disconnect();
+    });
+
+    it('does nothing when the observer is not supported', function () {
+      fake.restore();
+
+      const disconnect = observe('resource', () => {});
+      assume(disconnect).is.a('function');
+    });
+  });
+
+  describe('#supports', function () {
+    it('checks if the entry type can be observed', function () {
+      assume(supports('resource')).is.false();
+
+      const fake = observer(['resource']);
+
+      assume(supports('resource')).is.true();
+      assume(supports('longtask')).is.false();
+
+      fake.restore();
+    });
+  });
+
+  describe('#collect', function () {
+    let collector;
+    let fake;
+
+    beforeEach(function () {
+      fake = observer(['resource']);
+      collector = collect({ limit: 3, max: 10 });
+    });
+
+    afterEach(function () {
+      collector.stop();
+      fake.restore();
+    });
+
+    it('returns null when the observer is not supported', function () {
+      fake.restore();
+
+      assume(collect()).is.a('null');
+    });
+
+    it('collects the observed resource entries', function () {
+      fake.emit('resource', [{ name: 'foo' }]);
+      fake.emit('resource', [{ name: 'bar' }]);
+
+      assume(collector.entries()).deep.equals([{ name: 'foo' }, { name: 'bar' }]);
+    });
+
+    it('is bounded by the limit', function () {
+      fake.emit('resource', [{ name: 'foo' }, { name: 'bar' }]);
+      fake.emit('resource', [{ name: 'baz' }, { name: 'qux' }]);
+
+      assume(collector.entries()).is.length(3);
+      assume(collector.entries()[2].name).equals('baz');
+    });
+
+    it('clears its own buffer', function () {
+      let cleared = false;
+
+      global.performance.emitter.once('clearResourceTimings', () => (cleared = true));
+      fake.emit('resource', [{ name: 'foo' }]);
+      collector.clear();
+
+      assume(collector.entries()).is.length(0);
+      assume(cleared).is.false();
+    });
+
+    it('stops observing', function () {
+      collector.stop();
+
+      assume(fake.observers).is.length(0);
+    });
+
+    it('grows the browser buffer when it is full', function () {
+      const listeners = {};
+      const sizes = [];
+
+      collector.stop();
+
+      global.performance.addEventListener = (name, fn) => (listeners[name] = fn);
+      global.performance.removeEventListener = (name) => delete listeners[name];
+      global.performance.emitter.on('setResourceTimingBufferSize', (size) => sizes.push(size));
+
+      collector = collect({ max: 6 });
+
+      listeners.resourcetimingbufferfull();
+      assume(sizes).deep.equals([6]);
+
+      collector.stop();
+      assume(listeners).deep.equals({});
+    });
+  });
+
+  describe('#timing', function () {
+    it('uses the PerformanceNavigationTiming entry', function () {
+      const origin = global.performance.timeOrigin;
+
+      global.performance.getEntriesByType = () => [{
+        entryType: 'navigation',
+        startTime: 0,
+        fetchStart: 5,
+        domainLookupStart: 0,
+        requestStart: 20,
+        responseStart: 100,
+        responseEnd: 150,
+        domContentLoadedEventStart: 300,
+        loadEventEnd: 600
+      }];
+
+      const result = timing();
+
+      assume(result.navigationStart).equals(origin);
+      assume(result.fetchStart).equals(origin + 5);
+      assume(result.domainLookupStart).equals(0);
+      assume(result.responseStart).equals(origin + 100);
+      assume(result.domLoading).equals(origin + 150);
+      assume(result.domContentLoaded).equals(origin + 300);
+      assume(result.loadEventEnd).equals(origin + 600);
+      assume(result.connectEnd).equals(0);
+    });
+
+    it('falls back to `performance.timing`', function () {
+      const start = global.performance.timing.navigationStart;
+
+      global.performance.timing.domLoading = start + 200;
+      global.performance.timing.domContentLoadedEventStart = start + 300;
+      global.performance.timing.loadEventEnd = start + 600;
+
+      const result = timing();
+
+      assume(result.navigationStart).equals(start);
+      assume(result.domLoading).equals(start + 200);
+      assume(result.domContentLoaded).equals(start + 300);
+      assume(result.loadEventEnd).equals(start + 600);
+      assume(result.responseStart).equals(0);
+    });
+
+    it('returns null when there is no timing', function () {
+      delete global.performance.timing;
+
+      assume(timing()).is.a('null');
+    });
+  });
+
   describe('#find', function () {
     it('finds a resource based on a given regexp', function () {
       const start = Date.now();
@@ -126,5 +308,14 @@ describe('purrformance', function () {
 
       assume(item.name).equals('http://example.com/_next/-/page/_error.js');
     });
+
+    it('finds a resource based on a given function', function () {
+      const start = Date.now();
+      const end = Date.now() + 20;
+      const item = find(entries({ start, end }), (entry) => /page/.test(entry.name));
+
+      assume(item.name).equals('http://example.com/_next/-/page/_error.js');
+      assume(find(entries({ start, end }), () => false)).is.a('undefined');
+    });
   });
 });
@@ -0,0 +1,318 @@
+import Queue from '../queue';
+import assume from 'assume';
+
+describe('Queue', function () {
+  const key = 'next-rum:queue';
+  let transports;
+  let descriptor;
+  let delivered;
+  let store;
+  let queue;
+
+  /**
+   * The persisted state of the queue.
+   *
+   * @returns {Object} The state.
+   * @private
+   */
+  function state() {
+    return JSON.parse(store[key]);
+  }
+
+  beforeEach(function () {
+    store = {};
+    delivered = [];
+    descriptor = Object.getOwnPropertyDescriptor(global, 'localStorage');
+
+    Object.defineProperty(global, 'localStorage', {
+      configurable: true,
+      value: {
+        getItem: (name) => (name in store ? store[name] : null),
+        setItem: (name, value) => (store[name] = value)
+      }
+    });
+
+    transports = { test: (payload) => delivered.push(payload.id) };
+    queue = new Queue({ backoff: 100 });
+  });
+
+  afterEach(function () {
+    if (descriptor) Object.defineProperty(global, 'localStorage', descriptor);
+    else delete global.localStorage;
+
+    if (global.navigator) delete global.navigator.onLine;
+  });
+
+  describe('#add', function () {
+    it('delivers the payload', function () {
+      queue.add({ id: 'foo' }, transports);
+
+      assume(delivered).deep.equals(['foo']);
+      assume(queue.pending()).is.length(0);
+      assume(state().sent).deep.equals(['foo']);
+    });
+
+    it('never delivers a navigation twice', function () {
+      queue.add({ id: 'foo' }, transports);
+      queue.add({ id: 'foo' }, transports);
+
+      assume(delivered).deep.equals(['foo']);
+    });
+
+    it('persists the payloads while the user is offline', function () {
+      Object.defineProperty(global.navigator, 'onLine', { configurable: true, value: false });
+
+      queue.add({ id: 'foo' }, transports);
+      queue.add({ id: 'foo' }, transports);
+
+      assume(delivered).is.length(0);
+      assume(state().items).is.length(1);
+      assume(state().items[0].attempts).equals(0);
+    });
+
+    it('only keeps the most recent payloads', function () {
+      transports = { test: () => false };
+      queue = new Queue({ limit: 2 });
+
+      queue.add({ id: 'foo' }, transports);
+      queue.add({ id: 'bar' }, transports);
+      queue.add({ id: 'baz' }, transports);
+
+      assume(queue.pending().map(({ id }) => id)).deep.equals(['bar', 'baz']);
+    });
+  });
+
+  describe('#drain', function () {
+    it('delivers the payloads of a previous page', function () {
+      store[key] = JSON.stringify({
+        items: [{ payload: { id: 'foo' }, attempts: 1, time: Date.now(), next: 0 }],
+        sent: []
+      });
+
+      queue.drain(transports);
+
+      assume(delivered).deep.equals(['foo']);
+      assume(queue.pending()).is.length(0);
+    });
+
+    it('drops payloads that are too old', function () {
+      store[key] = JSON.stringify({
+        items: [{ payload: { id: 'foo' }, attempts: 0, time: Date.now() - 25 * 60 * 60 * 1000, next: 0 }],
+        sent: []
+      });
+
+      queue.drain(transports);
+
+      assume(delivered).is.length(0);
+      assume(state().items).is.length(0);
+    });
+
+    it('retries failed deliveries with backoff', function () {
+      let fail = true;
+
+      transports = {
+        test: (payload) => {
+          if (fail) throw new Error('Failed to fetch');
+          delivered.push(payload.id);
+        }
+      };
+
+      queue.add({ id: 'foo' }, transports);
+
+      const [item] = state().items;
+
+      assume(item.attempts).equals(1);
+      assume(item.next).is.within(Date.now() + 90, Date.now() + 100);
+
+      fail = false;
+      queue.drain(transports);
+
+      assume(delivered).is.length(0);
+
+      const stored = state();
+      stored.items[0].next = 0;
+      store[key] = JSON.stringify(stored);
+
+      queue.drain(transports);
+
+      assume(delivered).deep.equals(['foo']);
+    });
+
+    it('gives up after the maximum amount of retries', function () {
+      transports = { test: () => false };
+      queue = new Queue({ retries: 2, backoff: 0 });
+
+      queue.add({ id: 'foo' }, transports);
+      assume(queue.pending()).is.length(1);
+
+      queue.drain(transports);
+      assume(queue.pending()).is.length(0);
+    });
+
+    it('waits for deliveries that return a Promise', function (next) {
+      transports = { test: () => Promise.reject(new Error('offline')) };
+
+      queue.add({ id: 'foo' }, transports);
+      queue.drain(transports);
+
+      assume(state().items[0].attempts).equals(0);
+
+      setTimeout(function () {
+        assume(state().items[0].attempts).equals(1);
+        next();
+      }, 0);
+    });
+  });
+
+  describe('transports', function () {
+    it('only retries the transports that failed', function () {
+      const calls = { first: 0, second: 0 };
+      let fail = true;
+
+      transports = {
+        first: () => calls.first++,
+        second: () => {
+          calls.second++;
+          return !fail;
+        }
+      };
+
+      queue = new Queue({ backoff: 0 });
+      queue.add({ id: 'foo' }, transports);
+
+      assume(calls).deep.equals({ first: 1, second: 1 });
+      assume(state().items[0].pending).deep.equals(['second']);
+
+      fail = false;
+      queue.drain(transports);
+
+      assume(calls).deep.equals({ first: 1, second: 2 });
+      assume(queue.pending()).is.length(0);
+    });
+
+    it('considers transports that no longer exist as done', function () {
+      store[key] = JSON.stringify({
+        items: [{ payload: { id: 'foo' }, attempts: 1, time: Date.now(), next: 0, pending: ['gone'] }],
+        sent: []
+      });
+
+      queue.drain(transports);
+
+      assume(delivered).is.length(0);
+      assume(queue.pending()).is.length(0);
+    });
+  });
+
+  describe('claims', function () {
+    /**
+     * Persist a payload that is claimed by another tab.
+     *
+     * @param {Number} until EPOCH at which the claim expires.
+     * @private
+     */
+    function claimed(until) {
+      store[key] = JSON.stringify({
+        items: [{
+          payload: { id: 'foo' },
+          attempts: 0,
+          time: Date.now(),
+          next: 0,
+          pending: ['test'],
+          claimed: { tab: 'other', until }
+        }],
+        sent: []
+      });
+    }
+
+    it('claims the payloads while they are delivered', function () {
+      queue.add({ id: 'foo' }, { test: () => new Promise(() => {}) });
+
+      const [item] = state().items;
+
+      assume(item.claimed.tab).equals(queue.tab);
+      assume(item.claimed.until).is.above(Date.now());
+
+      new Queue().drain(transports);
+      assume(delivered).is.length(0);
+    });
+
+    it('leaves the payloads that another tab claimed alone', function () {
+      claimed(Date.now() + 1000);
+
+      queue.drain(transports);
+      queue.add({ id: 'foo' }, transports);
+
+      assume(delivered).is.length(0);
+      assume(state().items[0].claimed.tab).equals('other');
+    });
+
+    it('takes over the claims that expired', function () {
+      claimed(Date.now() - 1);
+
+      queue.drain(transports);
+
+      assume(delivered).deep.equals(['foo']);
+      assume(queue.pending()).is.length(0);
+    });
+  });
+
+  describe('size', function () {
+    it('drops the oldest payloads that do not fit', function () {
+      transports = { test: () => false };
+      queue = new Queue({ size: 400 });
+
+      queue.add({ id: 'foo', padding: 'x'.repeat(100) }, transports);
+      queue.add({ id: 'bar', padding: 'x'.repeat(100) }, transports);
+
+      assume(queue.pending().map(({ id }) => id)).deep.equals(['bar']);
+      assume(store[key].length).is.atmost(400);
+    });
+
+    it('still attempts a payload that does not fit by itself', function () {
+      queue = new Queue({ size: 10 });
+      queue.add({ id: 'foo' }, transports);
+
+      assume(delivered).deep.equals(['foo']);
+      assume(queue.pending()).is.length(0);
+    });
+
+    it('continues with the state in memory when the localStorage is full', function () {
+      Object.defineProperty(global, 'localStorage', {
+        configurable: true,
+        value: {
+          getItem: (name) => (name in store ? store[name] : null),
+          setItem: (name, value) => {
+            if (value.length > 200) throw new Error('QuotaExceededError');
+            store[name] = value;
+          }
+        }
+      });
+
+      Object.defineProperty(global.navigator, 'onLine', { configurable: true, value: false });
+      queue.add({ id: 'foo' }, transports);
+      queue.add({ id: 'bar', padding: 'x'.repeat(200) }, transports);
+
+      assume(queue.pending().map(({ id }) => id)).deep.equals(['foo', 'bar']);
+
+      delete global.navigator.onLine;
+      queue.drain(transports);
+
+      assume(delivered).deep.equals(['foo', 'bar']);
+      assume(queue.pending()).is.length(0);
+    });
+  });
+
+  it('keeps the payloads for the page when the localStorage throws', function () {
+    Object.defineProperty(global, 'localStorage', {
+      configurable: true,
+      get: () => {
+        throw new Error('SecurityError');
+      }
+    });
+
+    queue = new Queue();
+    queue.add({ id: 'foo' }, { test: () => false });
+
+    assume(queue.pending()).deep.equals([{ id: 'foo' }]);
+  });
+});
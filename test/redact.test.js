@@ -0,0 +1,44 @@
+import pipeline, { strip, allow } from '../redact';
+import assume from 'assume';
+
+describe('redact', function () {
+  describe('#strip', function () {
+    it('removes the query string and hash', function () {
+      const redact = strip();
+
+      assume(redact('/account/12?email=foo@example.com#top')).equals('/account/12');
+      assume(redact('https://example.com/image.png?token=secret')).equals('https://example.com/image.png');
+      assume(redact('/account')).equals('/account');
+    });
+  });
+
+  describe('#allow', function () {
+    it('only keeps the allowed parameters', function () {
+      const redact = allow(['page', 'sort by']);
+
+      assume(redact('/search?q=secret&page=2&sort%20by=date#results')).equals('/search?page=2&sort%20by=date');
+      assume(redact('/search?q=secret')).equals('/search');
+      assume(redact('/search#results')).equals('/search');
+    });
+
+    it('ignores malformed parameters', function () {
+      assume(allow(['page'])('/search?%E0%A4%A=1&page=1')).equals('/search?page=1');
+    });
+  });
+
+  describe('#pipeline', function () {
+    it('runs the steps in order', function () {
+      const redact = pipeline([
+        allow(['page']),
+        (url) => url.replace(/\/\d+/g, '/:id')
+      ]);
+
+      assume(redact('/account/12/orders/34?page=1&email=foo')).equals('/account/:id/orders/:id?page=1');
+    });
+
+    it('leaves the URL untouched without steps', function () {
+      assume(pipeline()('/account/12?page=1')).equals('/account/12?page=1');
+      assume(pipeline([strip()])(null)).is.a('null');
+    });
+  });
+});
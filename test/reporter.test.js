@@ -0,0 +1,155 @@
+import Reporter, { quota } from '../reporter';
+import { TextEncoder } from 'util';
+import assume from 'assume';
+
+describe('Reporter', function () {
+  const endpoint = 'https://example.com/rum';
+  let reporter;
+  let beacons;
+  let requests;
+
+  beforeEach(function () {
+    beacons = [];
+    requests = [];
+
+    global.navigator.sendBeacon = (url, body) => {
+      beacons.push({ url, body });
+      return true;
+    };
+
+    global.fetch = (url, options) => {
+      requests.push({ url, options });
+      return Promise.resolve();
+    };
+
+    reporter = new Reporter(endpoint, { batch: 2 });
+  });
+
+  afterEach(function () {
+    delete global.navigator.sendBeacon;
+    delete global.fetch;
+  });
+
+  describe('#push', function () {
+    it('queues the payload', function () {
+      reporter.push({ path: '/foo' });
+
+      assume(reporter.queue).is.length(1);
+      assume(beacons).is.length(0);
+    });
+
+    it('flushes the queue once the batch size is reached', function () {
+      reporter.push({ path: '/foo' });
+      reporter.push({ path: '/bar' });
+
+      assume(reporter.queue).is.length(0);
+      assume(beacons).is.length(1);
+      assume(JSON.parse(beacons[0].body)).deep.equals([
+        { path: '/foo' },
+        { path: '/bar' }
+      ]);
+    });
+  });
+
+  describe('#flush', function () {
+    it('does nothing when the queue is empty', function () {
+      assume(reporter.flush()).is.false();
+      assume(beacons).is.length(0);
+      assume(requests).is.length(0);
+    });
+
+    it('sends the payloads using `sendBeacon`', function () {
+      reporter.push({ path: '/foo' });
+
+      assume(reporter.flush()).is.true();
+      assume(beacons).is.length(1);
+      assume(beacons[0].url).equals(endpoint);
+      assume(requests).is.length(0);
+    });
+
+    it('falls back to `fetch` with keepalive when beacons are not supported', function () {
+      delete global.navigator.sendBeacon;
+      reporter.push({ path: '/foo' });
+
+      assume(reporter.flush()).is.true();
+      assume(requests).is.length(1);
+      assume(requests[0].url).equals(endpoint);
+      assume(requests[0].options.method).equals('POST');
+      assume(requests[0].options.keepalive).is.true();
+      assume(JSON.parse(requests[0].options.body)).deep.equals([{ path: '/foo' }]);
+    });
+
+    it('falls back to `fetch` when the beacon is refused', function () {
+      global.navigator.sendBeacon = () => false;
+      reporter.push({ path: '/foo' });
+
+      assume(reporter.flush()).is.true();
+      assume(requests).is.length(1);
+    });
+
+    it('splits the payloads in batches that fit in the quota', function () {
+      const Encoder = global.TextEncoder;
+      const big = 'x'.repeat(quota * 0.6);
+
+      global.TextEncoder = TextEncoder;
+      reporter.push({ path: '/foo', big });
+      reporter.push({ path: '/bar', big });
+      global.TextEncoder = Encoder;
+
+      assume(beacons).is.length(2);
+      assume(beacons.map(({ body }) => JSON.parse(body).map(({ path }) => path))).deep.equals([['/foo'], ['/bar']]);
+    });
+
+    it('sends a payload that exceeds the quota without keepalive', function () {
+      reporter.push({ path: '/foo', big: 'x'.repeat(quota) });
+
+      assume(reporter.flush()).is.true();
+      assume(beacons).is.length(0);
+      assume(requests).is.length(1);
+      assume(requests[0].options.keepalive).is.false();
+    });
+
+    it('returns false when there is no transport', function () {
+      delete global.navigator.sendBeacon;
+      delete global.fetch;
+
+      reporter.push({ path: '/foo' });
+      assume(reporter.flush()).is.false();
+    });
+  });
+
+  describe('deliveries', function () {
+    it('resolves once the batch of the payload is delivered', function () {
+      const delivered = reporter.push({ path: '/foo' });
+
+      reporter.flush();
+      return delivered;
+    });
+
+    it('rejects when the endpoint responds with an error', function () {
+      delete global.navigator.sendBeacon;
+      global.fetch = () => Promise.resolve({ ok: false, status: 503 });
+
+      const delivered = reporter.push({ path: '/foo' });
+
+      reporter.flush();
+      return delivered.then(() => {
+        throw new Error('The delivery should have failed');
+      }, (e) => {
+        assume(e.message).equals('Unexpected status 503');
+      });
+    });
+
+    it('rejects when there is no transport', function () {
+      delete global.navigator.sendBeacon;
+      delete global.fetch;
+
+      const delivered = reporter.push({ path: '/foo' });
+
+      reporter.flush();
+      return delivered.then(() => {
+        throw new Error('The delivery should have failed');
+      }, () => {});
+    });
+  });
+});
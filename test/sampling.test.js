@@ -0,0 +1,100 @@
+import { draw, rate, sampled } from '../sampling';
+import assume from 'assume';
+
+describe('sampling', function () {
+  let descriptor;
+  let store;
+
+  beforeEach(function () {
+    store = {};
+    descriptor = Object.getOwnPropertyDescriptor(global, 'sessionStorage');
+
+    Object.defineProperty(global, 'sessionStorage', {
+      configurable: true,
+      value: {
+        getItem: (name) => (name in store ? store[name] : null),
+        setItem: (name, value) => (store[name] = value)
+      }
+    });
+  });
+
+  afterEach(function () {
+    if (descriptor) Object.defineProperty(global, 'sessionStorage', descriptor);
+    else delete global.sessionStorage;
+  });
+
+  describe('#draw', function () {
+    it('persists the draw in the sessionStorage', function () {
+      const value = draw();
+
+      assume(value).is.within(0, 1);
+      assume(store['next-rum:sample']).equals(String(value));
+      assume(draw()).equals(value);
+    });
+
+    it('uses the draw of the session', function () {
+      store['next-rum:sample'] = '0.25';
+
+      assume(draw()).equals(0.25);
+    });
+
+    it('draws again when the stored value is invalid', function () {
+      store['next-rum:sample'] = 'nope';
+
+      assume(draw()).is.within(0, 1);
+      assume(store['next-rum:sample']).does.not.equal('nope');
+    });
+
+    it('keeps the draw for the page when the sessionStorage throws', function () {
+      Object.defineProperty(global, 'sessionStorage', {
+        configurable: true,
+        get: () => {
+          throw new Error('SecurityError');
+        }
+      });
+
+      const value = draw();
+
+      assume(value).is.within(0, 1);
+      assume(draw()).equals(value);
+    });
+  });
+
+  describe('#rate', function () {
+    it('defaults to 1', function () {
+      assume(rate({}, '/')).equals(1);
+    });
+
+    it('uses the global sampleRate', function () {
+      assume(rate({ sampleRate: 0.1 }, '/')).equals(0.1);
+    });
+
+    it('prefers the rate of the route', function () {
+      const options = { sampleRate: 0.1, sampleRates: { '/checkout': 1, '/search': 0 }};
+
+      assume(rate(options, '/checkout')).equals(1);
+      assume(rate(options, '/search')).equals(0);
+      assume(rate(options, '/account')).equals(0.1);
+    });
+  });
+
+  describe('#sampled', function () {
+    it('always samples a rate of 1', function () {
+      assume(sampled(1)).is.true();
+      assume(store).deep.equals({});
+    });
+
+    it('never samples a rate of 0', function () {
+      assume(sampled(0)).is.false();
+      assume(sampled(-1)).is.false();
+    });
+
+    it('compares the rate with the draw of the session', function () {
+      store['next-rum:sample'] = '0.25';
+
+      assume(sampled(0.5)).is.true();
+      assume(sampled(0.25)).is.false();
+      assume(sampled(0.1)).is.false();
+    });
+  });
+});
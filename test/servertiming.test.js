@@ -0,0 +1,51 @@
+import summarize, { parse } from '../servertiming';
+import assume from 'assume';
+
+describe('servertiming', function () {
+  const rum = { navigationStart: 1000, loadEventEnd: 1500 };
+
+  describe('#parse', function () {
+    it('adds up the durations of the metrics', function () {
+      assume(parse([
+        { serverTiming: [{ name: 'db', duration: 20 }, { name: 'cache', duration: 2 }] },
+        { serverTiming: [{ name: 'db', duration: 30, description: 'products' }] },
+        { name: 'http://example.com/no-server-timing' },
+        null
+      ])).deep.equals({ db: 50, cache: 2 });
+    });
+  });
+
+  describe('#summarize', function () {
+    it('returns null without Server-Timing metrics', function () {
+      assume(summarize([{ serverTiming: [] }], rum)).is.a('null');
+    });
+
+    it('splits the navigation in backend and frontend time', function () {
+      const summary = summarize([{
+        serverTiming: [{ name: 'db', duration: 80 }, { name: 'render', duration: 120 }]
+      }], rum);
+
+      assume(summary).deep.equals({
+        backend: 200,
+        frontend: 300,
+        metrics: { db: 80, render: 120 }
+      });
+    });
+
+    it('prefers the total that is sent by the server', function () {
+      const summary = summarize([{
+        serverTiming: [{ name: 'db', duration: 80 }, { name: 'total', duration: 100 }]
+      }], rum);
+
+      assume(summary.backend).equals(100);
+      assume(summary.frontend).equals(400);
+    });
+
+    it('does not know the frontend time of incomplete navigations', function () {
+      const summary = summarize([{ serverTiming: [{ name: 'db', duration: 80 }] }], { navigationStart: 1000 });
+
+      assume(summary.backend).equals(80);
+      assume(summary.frontend).is.a('null');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import settle, { intercept, pending } from '../settle';
+import { observer } from './polyfill';
+import assume from 'assume';
+
+describe('settle', function () {
+  let fetch;
+  let requests;
+
+  beforeEach(function () {
+    requests = [];
+    fetch = global.fetch;
+
+    global.fetch = function () {
+      return new Promise((resolve, reject) => requests.push({ resolve, reject }));
+    };
+  });
+
+  afterEach(function () {
+    requests.forEach((request) => request.resolve());
+    global.fetch = fetch;
+  });
+
+  describe('#intercept', function () {
+    it('counts the requests that are in flight', function (next) {
+      const unintercept = intercept();
+
+      global.fetch('/first');
+      global.fetch('/second').catch(() => {});
+
+      assume(pending()).equals(2);
+
+      requests[0].resolve();
+      requests[1].reject(new Error('failed'));
+
+      setTimeout(function () {
+        assume(pending()).equals(0);
+
+        unintercept();
+        next();
+      }, 0);
+    });
+
+    it('restores the original fetch', function () {
+      const original = global.fetch;
+      const unintercept = intercept();
+      const again = intercept();
+
+      assume(global.fetch).does.not.equal(original);
+
+      unintercept();
+      unintercept();
+      assume(global.fetch).does.not.equal(original);
+
+      again();
+      assume(global.fetch).equals(original);
+    });
+
+    it('leaves fetch alone when it was wrapped again', function () {
+      const unintercept = intercept();
+      const wrapped = function () {};
+
+      global.fetch = wrapped;
+      unintercept();
+
+      assume(global.fetch).equals(wrapped);
+    });
+  });
+
+  describe('#settle', function () {
+    let unintercept;
+
+    beforeEach(function () {
+      unintercept = intercept();
+    });
+
+    afterEach(function () {
+      unintercept();
+    });
+
+    it('settles once the network is quiet', function (next) {
+      const start = Date.now();
+
+      settle({ quiet: 20, timeout: 1000 }, function (reason) {
+        assume(reason).equals('quiet');
+        assume(Date.now() - start).is.least(19);
+
+        next();
+      });
+    });
+
+    it('waits for the requests in flight', function (next) {
+      const start = Date.now();
+
+      global.fetch('/data');
+      setTimeout(() => requests[0].resolve(), 50);
+
+      settle({ quiet: 20, timeout: 1000 }, function (reason) {
+        assume(reason).equals('quiet');
+        assume(Date.now() - start).is.least(69);
+
+        next();
+      });
+    });
+
+    it('waits for new resource entries', function (next) {
+      const fake = observer(['resource']);
+      const start = Date.now();
+
+      settle({ quiet: 30, timeout: 1000 }, function (reason) {
+        assume(reason).equals('quiet');
+        assume(Date.now() - start).is.least(49);
+        assume(fake.observers).is.length(0);
+
+        fake.restore();
+        next();
+      });
+
+      assume(fake.observers[0].options.buffered).is.false();
+      setTimeout(() => fake.emit('resource', [{ name: '/image.png' }]), 20);
+    });
+
+    it('uses the injected clock and performance API', function (next) {
+      const resources = [];
+      const api = (method) => (method === 'getEntriesByType' ? resources : null);
+      const start = Date.now();
+      let now = 0;
+
+      settle({ quiet: 20, timeout: 1000, clock: () => now, api }, function (reason) {
+        assume(reason).equals('quiet');
+        assume(Date.now() - start).is.least(39);
+
+        next();
+      });
+
+      setTimeout(function () {
+        resources.push({ name: '/image.png' });
+        now = 100;
+      }, 10);
+      setTimeout(() => (now = 200), 30);
+    });
+
+    it('stops waiting once the timeout is reached', function (next) {
+      const start = Date.now();
+
+      global.fetch('/long-polling');
+
+      settle({ quiet: 10, timeout: 50 }, function (reason) {
+        assume(reason).equals('timeout');
+        assume(Date.now() - start).is.below(100);
+
+        next();
+      });
+    });
+
+    it('returns a function that stops waiting', function (next) {
+      const stop = settle({ quiet: 10, timeout: 20 }, function () {
+        throw new Error('should not be called');
+      });
+
+      stop();
+      setTimeout(next, 40);
+    });
+  });
+});
@@ -0,0 +1,407 @@
+import createTracker, { defaults } from '../tracker';
+import { webVitals, reportWebVitals } from '../vitals';
+import { observer } from './polyfill';
+import EventEmitter from 'events';
+import assume from 'assume';
+
+describe('tracker', function () {
+  let performance;
+  let emitter;
+  let router;
+  let calls;
+  let now;
+
+  /**
+   * Create a tracker with our fake dependencies.
+   *
+   * @param {Object} options Additional configuration.
+   * @returns {Tracker} The tracker.
+   * @private
+   */
+  function tracker(options) {
+    return createTracker({
+      router,
+      emitter,
+      performance,
+      clock: () => now,
+      delay: 0,
+      navigated: (...args) => calls.push(args),
+      ...options
+    });
+  }
+
+  /**
+   * Emulate the navigation flow of Next.js, advancing the clock.
+   *
+   * @param {String} path The path we navigate to.
+   * @private
+   */
+  function navigate(path) {
+    router.events.emit('routeChangeStart', path);
+    now += 10;
+    emitter.emit('before-reactdom-render', {});
+    now += 20;
+    emitter.emit('after-reactdom-render', {});
+    now += 5;
+    router.asPath = path;
+    router.events.emit('routeChangeComplete', path);
+  }
+
+  beforeEach(function () {
+    ['navigationStart', 'loadEventStart', 'loadEventEnd'].forEach((name) => (webVitals[name] = null));
+
+    calls = [];
+    now = 1000;
+    emitter = new EventEmitter();
+    router = { events: new EventEmitter(), asPath: '/', pathname: '/' };
+    performance = {
+      timeOrigin: 500,
+      getEntriesByType: () => [],
+      clearResourceTimings: () => {}
+    };
+  });
+
+  it('applies the defaults', function () {
+    const rum = createTracker();
+
+    assume(rum.options.format).equals(defaults.format);
+    assume(rum.options.settle).deep.equals(defaults.settle);
+  });
+
+  it('uses the injected performance API', function () {
+    let cleared = 0;
+    let size = 0;
+
+    performance.clearResourceTimings = () => cleared++;
+    performance.setResourceTimingBufferSize = (value) => (size = value);
+
+    const rum = tracker({ setResourceTimingBufferSize: 500 });
+
+    assume(rum.timeOrigin).equals(500);
+    assume(size).equals(500);
+
+    rum.connect();
+    navigate('/cleared');
+    rum.disconnect();
+
+    assume(cleared).is.atleast(1);
+  });
+
+  it('uses the injected clock for the milestones', function () {
+    const rum = tracker({ milestones: { '/': ['hero-visible'] }});
+
+    rum.connect();
+    navigate('/');
+
+    assume(calls).is.length(0);
+
+    now += 100;
+    rum.mark('hero-visible');
+    rum.disconnect();
+
+    assume(calls[0][3].milestones).deep.equals({ 'hero-visible': 135 });
+  });
+
+  it('removes its listeners once disconnected', function () {
+    const rum = tracker();
+
+    rum.connect();
+    assume(router.events.listenerCount('routeChangeStart')).equals(1);
+    assume(emitter.listenerCount('before-reactdom-render')).equals(1);
+
+    rum.disconnect();
+    assume(router.events.listenerCount('routeChangeStart')).equals(0);
+    assume(emitter.listenerCount('before-reactdom-render')).equals(0);
+  });
+
+  it('accepts a custom adapter and path', function () {
+    const hooked = [];
+    const rum = tracker({
+      adapter: {
+        hook: (measure) => hooked.push(measure),
+        unhook: (measure) => hooked.splice(hooked.indexOf(measure), 1)
+      },
+      path: () => '/custom'
+    });
+
+    rum.connect();
+
+    assume(hooked).deep.equals([rum]);
+    assume(rum.path()).equals('/custom');
+    assume(router.events.listenerCount('routeChangeStart')).equals(0);
+
+    rum.disconnect();
+    assume(hooked).is.length(0);
+  });
+
+  describe('navigations', function () {
+    it('measures the navigations without React', function () {
+      const rum = tracker();
+
+      rum.connect();
+      navigate('/products');
+      rum.disconnect();
+
+      const [path, timing, entries, payload] = calls[calls.length - 1];
+
+      assume(path).equals('/products');
+      assume(timing.navigationStart).equals(1000);
+      assume(timing.domLoading).equals(1010);
+      assume(timing.domContentLoaded).equals(1030);
+      assume(timing.loadEventEnd).equals(1035);
+      assume(entries).deep.equals([]);
+      assume(payload.status).equals('complete');
+    });
+
+    it('records and gathers the marks with the injected performance API', function () {
+      const marked = [];
+
+      performance.mark = (name, { startTime }) => {
+        marked.push(name);
+        return { name, startTime };
+      };
+      performance.measure = (name) => marked.push(name);
+      performance.getEntriesByType = (type) => (type === 'mark' ? [
+        { name: 'hero', entryType: 'mark', startTime: 520, duration: 0 }
+      ] : []);
+
+      const rum = tracker();
+
+      rum.connect();
+      navigate('/marks');
+      rum.disconnect();
+
+      const [, , , payload] = calls[calls.length - 1];
+
+      assume(marked).includes('next-rum:navigationStart');
+      assume(marked).includes('next-rum:navigation');
+      assume(payload.marks).deep.equals([
+        { name: 'hero', entryType: 'mark', startTime: 20, duration: 0, detail: null }
+      ]);
+    });
+
+    it('includes the resources that started while the network settled', function (next) {
+      performance.getEntriesByType = (type) => (type === 'resource' ? [
+        { name: 'https://example.com/hero.jpg', initiatorType: 'img', startTime: 590, fetchStart: 590, responseEnd: 610 }
+      ] : []);
+
+      const rum = tracker({ delay: 20 });
+
+      rum.connect();
+      navigate('/images');
+      now = 1100;
+
+      setTimeout(function () {
+        const [, timing, entries] = calls[0];
+
+        assume(entries.map(({ name }) => name)).deep.equals(['https://example.com/hero.jpg']);
+        assume(timing.loadEventEnd).equals(1110);
+
+        rum.disconnect();
+        next();
+      }, 30);
+    });
+
+    describe('attribution', function () {
+      let fake;
+
+      beforeEach(function () {
+        fake = observer(['longtask', 'largest-contentful-paint']);
+      });
+
+      afterEach(function () {
+        fake.restore();
+      });
+
+      /**
+       * Navigate twice on the injected clock, the metrics of the first
+       * navigation arrive late, during the second navigation.
+       *
+       * @param {Function} fn Reports additional metrics.
+       * @private
+       */
+      function twice(fn = () => {}) {
+        navigate('/first');
+
+        now = 2000;
+        router.events.emit('routeChangeStart', '/second');
+        fake.emit('longtask', [{ startTime: 520, duration: 80 }, { startTime: 1510, duration: 120 }]);
+        fake.emit('largest-contentful-paint', [{ startTime: 1525 }]);
+        fn();
+
+        now = 2100;
+        emitter.emit('before-reactdom-render', {});
+        emitter.emit('after-reactdom-render', {});
+        router.asPath = '/second';
+        router.events.emit('routeChangeComplete', '/second');
+      }
+
+      it('attributes the metrics with the injected clock', function () {
+        const rum = tracker();
+
+        rum.connect();
+        twice();
+        rum.disconnect();
+
+        const [path, , , payload] = calls[calls.length - 1];
+
+        assume(path).equals('/second');
+        assume(payload.vitals.lcp).equals(25);
+        assume(payload.blocking.count).equals(1);
+        assume(payload.blocking.longest).equals(120);
+      });
+
+      it('attributes the vitals of Next.js with the injected clock', function () {
+        const rum = tracker();
+
+        rum.connect();
+        twice(() => {
+          reportWebVitals({ name: 'Next.js-route-change-to-render', startTime: 1500, value: 10 });
+          reportWebVitals({ name: 'Next.js-render', startTime: 1530, value: 20 });
+        });
+        rum.disconnect();
+
+        const [, timing] = calls[calls.length - 1];
+
+        assume(timing.navigationStart).equals(2000);
+        assume(timing.loadEventEnd).equals(2050);
+      });
+    });
+
+    it('requires the milestones of the path when the route is not known', function () {
+      const rum = tracker({ milestones: { '/products/1': ['hero-visible'] }});
+
+      router.pathname = null;
+      rum.connect();
+      navigate('/products/1?ref=home');
+
+      assume(calls).is.length(0);
+
+      rum.mark('hero-visible');
+      rum.disconnect();
+
+      assume(calls).is.length(1);
+      assume(calls[0][3].milestones).deep.equals({ 'hero-visible': 35 });
+    });
+
+    it('reports an initial page load that was abandoned', function () {
+      performance.timing = { navigationStart: 500, responseStart: 600, responseEnd: 700, domLoading: 710 };
+
+      const rum = tracker();
+
+      rum.connect();
+      rum.load();
+      emitter.emit('before-reactdom-render', {});
+
+      now = 1200;
+      rum.hidden({ type: 'pagehide' });
+      rum.disconnect();
+
+      const [, timing, , payload] = calls[calls.length - 1];
+
+      assume(payload.hard).is.true();
+      assume(payload.status).equals('abandoned');
+      assume(payload.phase).equals('render');
+      assume(timing.navigationStart).equals(500);
+      assume(timing.responseEnd).equals(700);
+      assume(timing.loadEventEnd).equals(1200);
+    });
+
+    it('ignores a late `load` event once a soft navigation started', function (next) {
+      const rum = tracker({ delay: 200 });
+
+      rum.connect();
+      navigate('/a');
+      rum.loaded();
+
+      setTimeout(function () {
+        navigate('/b');
+
+        assume(calls).is.length(1);
+        assume(calls[0][0]).equals('/a');
+        assume(calls[0][3].status).equals('complete');
+
+        rum.disconnect();
+        next();
+      }, 10);
+    });
+  });
+
+  describe('plugins', function () {
+    it('calls the lifecycle hooks of the navigation', function () {
+      const hooks = [];
+      const plugin = ['onStart', 'onRender', 'onComplete'].reduce((memo, hook) => {
+        memo[hook] = ({ url, hard }) => hooks.push([hook, url, hard]);
+        return memo;
+      }, {});
+
+      const rum = tracker({ plugins: [plugin] });
+
+      rum.connect();
+      navigate('/plugins');
+      rum.disconnect();
+
+      assume(hooks.filter(([, url]) => url === '/plugins')).deep.equals([
+        ['onStart', '/plugins', false],
+        ['onRender', '/plugins', false],
+        ['onComplete', '/plugins', false]
+      ]);
+    });
+
+    it('transforms, filters and sends the payload', function () {
+      const sent = [];
+      const rum = tracker({
+        plugins: [
+          { transform: (payload) => ({ ...payload, team: 'checkout' }) },
+          { filter: (payload) => payload.path !== '/health' },
+          { send: (payload) => sent.push(payload) }
+        ]
+      });
+
+      rum.connect();
+      navigate('/health');
+      navigate('/checkout');
+      rum.disconnect();
+
+      assume(sent).is.length(1);
+      assume(sent[0].path).equals('/checkout');
+      assume(sent[0].team).equals('checkout');
+      assume(calls[calls.length - 1][3]).equals(sent[0]);
+      assume(rum.last).equals(sent[0]);
+    });
+
+    it('only retries the transports that failed', function (next) {
+      const key = 'next-rum:tracker';
+      const pushed = [];
+      const sent = [];
+      let failing = true;
+
+      const rum = tracker({
+        queue: { key, backoff: 0 },
+        navigated: (path) => {
+          calls.push(path);
+          return failing ? Promise.reject(new Error('offline')) : true;
+        },
+        reporter: { push: (payload) => pushed.push(payload.path), flush: () => true },
+        plugins: [{ name: 'otlp', send: (payload) => sent.push(payload.path) }]
+      });
+
+      rum.connect();
+      navigate('/first');
+
+      setTimeout(function () {
+        failing = false;
+        navigate('/second');
+
+        assume(calls).deep.equals(['/first', '/first', '/second']);
+        assume(pushed).deep.equals(['/first', '/second']);
+        assume(sent).deep.equals(['/first', '/second']);
+        assume(rum.queue.pending()).is.length(0);
+
+        rum.disconnect();
+        global.localStorage.removeItem(key);
+        next();
+      }, 10);
+    });
+  });
+});
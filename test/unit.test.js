@@ -2,8 +2,11 @@
 import { shallow, mount } from 'enzyme';
 import { it, describe } from 'mocha';
 import EventEmitter from 'events';
-import polyfill from './polyfill';
-import RUM from '../index.js';
+import polyfill, { observer, warnings } from './polyfill';
+import { timeOrigin } from '../purrformance';
+import Reporter from '../reporter';
+import RUM, { RUMProvider, useRUM, reportWebVitals as handler } from '../index.js';
+import { webVitals } from '../vitals';
 import assume from 'assume';
 import React from 'react';
 
@@ -81,8 +84,10 @@ describe('RUM Component', function () {
       emitter.emit('after-reactdom-render', args);
 
       if (err) return setTimeout(function () {
-        emitter.emit('before-reactdom-render', { err, ...args });
-        emitter.emit('after-reactdom-render', { err, ...args });
+        const failed = { err, ...args, appProps: { ...args.appProps, err }};
+
+        emitter.emit('before-reactdom-render', failed);
+        emitter.emit('after-reactdom-render', failed);
 
         done();
       }, 10);
@@ -122,11 +127,13 @@ describe('RUM Component', function () {
     assume(emitter).includes('after-reactdom-render');
     assume(router).includes('routeChangeStart');
     assume(router).includes('routeChangeComplete');
+    assume(router).includes('routeChangeError');
 
     assume(global.next.emitter.listeners('before-reactdom-render')[0]).equals(rum.before);
     assume(global.next.emitter.listeners('after-reactdom-render')[0]).equals(rum.after);
     assume(global.next.router.events.listeners('routeChangeStart')[0]).equals(rum.start);
     assume(global.next.router.events.listeners('routeChangeComplete')[0]).equals(rum.complete);
+    assume(global.next.router.events.listeners('routeChangeError')[0]).equals(rum.error);
 
     off();
   });
@@ -157,22 +164,39 @@ describe('RUM Component', function () {
     assume(global.next.router.events.listeners('routeChangeComplete')).is.length(0);
   });
 
+  it('does not crash when the Next.js internals are missing', function () {
+    const next = global.next;
+    const captured = warnings();
+
+    delete global.next;
+
+    const enzyme = mount(<RUM navigated={ navigated } />);
+
+    assume(enzyme.instance().tracker.adapter.name).equals('none');
+    assume(enzyme.instance().tracker.path()).equals(global.location.pathname);
+
+    enzyme.unmount();
+
+    captured.restore();
+    global.next = next;
+  });
+
   describe('Metric storage', function () {
     beforeEach(on);
     afterEach(off);
 
     it('it has a `timings` object', function () {
-      assume(rum.timings).is.a('object');
-      assume(rum.timings).is.length(0);
+      assume(rum.tracker.timings).is.a('object');
+      assume(rum.tracker.timings).is.length(0);
     });
 
     describe('#set', function () {
       it('stores the data in the `timings` object', function () {
         rum.set('foo');
 
-        assume(rum.timings.foo).is.a('object');
-        assume(rum.timings.foo.now).is.a('number');
-        assume(rum.timings.foo.now).is.atmost(Date.now());
+        assume(rum.tracker.timings.foo).is.a('object');
+        assume(rum.tracker.timings.foo.now).is.a('number');
+        assume(rum.tracker.timings.foo.now).is.atmost(Date.now());
       });
     });
 
@@ -183,7 +207,7 @@ describe('RUM Component', function () {
 
         assume(rum.get('i do not exist')).is.a('undefined');
         assume(rum.get('example')).is.a('object');
-        assume(rum.get('example')).equals(rum.timings.example);
+        assume(rum.get('example')).equals(rum.tracker.timings.example);
 
         const data = rum.get('more-data');
 
@@ -193,15 +217,38 @@ describe('RUM Component', function () {
       });
     });
 
+    describe('#attach', function () {
+      it('stores the data for the current navigation', function () {
+        rum.attach('foo', 'bar');
+
+        assume(rum.tracker.data).deep.equals({ foo: 'bar' });
+
+        rum.tracker.reset();
+        assume(rum.tracker.data).deep.equals({});
+      });
+    });
+
+    describe('#subscribe', function () {
+      it('returns a function that removes the listener', function () {
+        const fn = () => {};
+        const unsubscribe = rum.subscribe(fn);
+
+        assume(rum.tracker.listeners).includes(fn);
+
+        unsubscribe();
+        assume(rum.tracker.listeners).does.not.include(fn);
+      });
+    });
+
     describe('#reset', function () {
       it('resets the object', function () {
         rum.set('example');
 
-        assume(rum.timings).is.above(0);
-        rum.reset();
+        assume(rum.tracker.timings).is.above(0);
+        rum.tracker.reset();
 
-        assume(rum.timings).is.a('object');
-        assume(rum.timings).is.length(0);
+        assume(rum.tracker.timings).is.a('object');
+        assume(rum.tracker.timings).is.length(0);
       });
     });
   });
@@ -226,6 +273,7 @@ describe('RUM Component', function () {
       );
 
       assume(result.html()).equals('<h1>Hello world</h1>');
+      result.unmount();
     });
   });
 
@@ -269,16 +317,141 @@ describe('RUM Component', function () {
         assume(payload.navigationStart).is.atleast(start);
         assume(payload.navigationStart).is.below(end);
         assume(payload.loadEventEnd).is.above(payload.navigationStart);
+        assume(payload.renderDuration).equals(17.36);
 
         next();
       });
     });
+
+    it('gives each navigation a unique id', function (next) {
+      reportWebVitals();
+      emulate('/first');
+
+      events.once('navigated', function (url, timing, entries, first) {
+        events.once('navigated', function (url2, timing2, entries2, second) {
+          assume(first.id).is.a('string');
+          assume(second.id).is.a('string');
+          assume(first.id).does.not.equal(second.id);
+          assume(first.vitals).deep.equals({ lcp: null, cls: null, inp: null, fcp: null });
+
+          next();
+        });
+
+        setTimeout(function () {
+          reportWebVitals();
+          emulate('/second');
+        }, 0);
+      });
+    });
+
+    it('only reports the navigation once when mounted multiple times', function (next) {
+      const captured = warnings();
+      const calls = [];
+
+      const second = mount(<RUM navigated={ (...args) => calls.push(args) } delay={ 0 } />);
+
+      events.once('navigated', function (url) {
+        assume(url).equals('/multiple');
+
+        setTimeout(function () {
+          assume(calls).is.length(0);
+
+          second.unmount();
+          captured.restore();
+
+          next();
+        }, 10);
+      });
+
+      reportWebVitals();
+      emulate('/multiple');
+    });
+
+    it('uses the metrics of the exported reportWebVitals handler', function (next) {
+      const origin = global.performance.timeOrigin;
+      const now = Date.now() - origin;
+
+      events.once('navigated', function (url, payload) {
+        assume(payload.navigationStart).equals(origin + now);
+        assume(payload.loadEventStart).equals(origin + now + 30);
+        assume(payload.renderDuration).equals(10);
+
+        next();
+      });
+
+      emulate('/handler');
+      handler({ name: 'Next.js-route-change-to-render', startTime: now, value: 20 });
+      handler({ name: 'Next.js-render', startTime: now + 20, value: 10 });
+    });
+
+    it('falls back to its own timing when web vitals are missing', function (next) {
+      const backup = { ...webVitals };
+
+      Object.keys(webVitals).forEach((key) => (webVitals[key] = null));
+
+      events.once('navigated', function (url, payload) {
+        Object.assign(webVitals, backup);
+
+        assume(url).equals('/fallback');
+        assume(payload.navigationStart).equals(rum.get('navigationStart').now);
+        assume(payload.domContentLoaded).is.atleast(payload.domLoading);
+        assume(payload.loadEventEnd).is.atleast(payload.domContentLoaded);
+        assume(payload.renderDuration).equals(payload.domContentLoaded - payload.domLoading);
+
+        next();
+      });
+
+      emulate('/fallback');
+    });
+  });
+
+  describe('useRUM', function () {
+    it('exposes the payloads to function components', function (next) {
+      let api;
+
+      /**
+       * Function component that consumes our API.
+       *
+       * @returns {Element} The path of the last payload.
+       * @private
+       */
+      function Consumer() {
+        api = useRUM();
+
+        return <span>{ api.last ? api.last.path : 'none' }</span>;
+      }
+
+      const enzyme = mount(
+        <RUMProvider navigated={ navigated } delay={ 0 }>
+          <Consumer />
+        </RUMProvider>
+      );
+
+      events.once('navigated', function (url, payload, entries, data) {
+        assume(data.path).equals('/hooks');
+        assume(data.data).deep.equals({ component: 'consumer' });
+
+        setTimeout(function () {
+          assume(enzyme.html()).equals('<span>/hooks</span>');
+          assume(api.last).equals(data);
+
+          enzyme.unmount();
+          next();
+        }, 0);
+      });
+
+      assume(enzyme.html()).equals('<span>none</span>');
+
+      reportWebVitals();
+      emulate('/hooks');
+      api.attach('component', 'consumer');
+    });
   });
 
   it('does not reset timing data on renderError', function (next) {
     on();
 
-    events.once('navigated', function (url, payload) {
+    events.once('navigated', function (url, payload, resources, { status, phase, error }) {
       assume(url).equals('/render-error');
       assume(payload).is.a('object');
 
@@ -286,6 +459,10 @@ describe('RUM Component', function () {
       assume(payload.domInteractive).is.above(payload.domLoading + 1);
       assume(payload.domContentLoaded).is.above(payload.domLoading + 1);
 
+      assume(status).equals('error');
+      assume(phase).equals('complete');
+      assume(error).deep.equals({ name: 'Error', message: 'Shits on fire yo' });
+
       off();
       next();
     });
@@ -294,12 +471,12 @@ describe('RUM Component', function () {
     emulate('/render-error', new Error('Shits on fire yo'));
   });
 
-  it('registers an `beforeunload` listener', function (next) {
+  it('registers an `pagehide` listener', function (next) {
     global.addEventListener = function (name, fn) {
       delete global.addEventListener;
 
-      assume(name).equals('beforeunload');
-      assume(fn.toString()).equals(rum.flush.toString());
+      assume(name).equals('pagehide');
+      assume(fn.toString()).equals(rum.tracker.hidden.toString());
 
       //
       // addEventListener is called during will mount, so we don't want to
@@ -315,12 +492,12 @@ describe('RUM Component', function () {
     on();
   });
 
-  it('removes an `beforeunload` listener', function (next) {
+  it('removes an `pagehide` listener', function (next) {
     global.removeEventListener = function (name, fn) {
       delete global.removeEventListener;
 
-      assume(name).equals('beforeunload');
-      assume(fn.toString()).equals(rum.flush.toString());
+      assume(name).equals('pagehide');
+      assume(fn.toString()).equals(rum.tracker.hidden.toString());
 
       next();
     };
@@ -329,6 +506,686 @@ describe('RUM Component', function () {
     off();
   });
 
+  describe('#hidden', function () {
+    /**
+     * Change the visibility state of the document.
+     *
+     * @param {String} state The new visibility state.
+     * @private
+     */
+    function visibility(state) {
+      Object.defineProperty(global.document, 'visibilityState', {
+        configurable: true,
+        value: state
+      });
+
+      global.document.dispatchEvent(new global.window.Event('visibilitychange'));
+    }
+
+    beforeEach(on);
+    afterEach(function () {
+      delete global.document.visibilityState;
+      off();
+    });
+
+    it('sends the delayed payload once the page is hidden', function (next) {
+      const start = Date.now();
+
+      events.once('navigated', function (url) {
+        assume(url).equals('/hidden');
+        assume(Date.now() - start).is.below(100);
+
+        next();
+      });
+
+      global.next.router.events.once('routeChangeComplete', function () {
+        assume(rum.tracker.timer).is.truthy();
+
+        visibility('hidden');
+      });
+
+      reportWebVitals();
+      emulate('/hidden');
+    });
+
+    it('does not reset navigations that are in progress', function () {
+      rum.start('/in-progress');
+      visibility('hidden');
+
+      assume(rum.get('navigationStart')).is.a('object');
+    });
+
+    it('ignores the page becoming visible', function () {
+      let called = false;
+
+      rum.tracker.timer = setTimeout(() => {}, 10);
+      rum.tracker.payload = () => (called = true);
+
+      visibility('visible');
+      rum.tracker.reset();
+
+      assume(called).is.false();
+    });
+  });
+
+  describe('status', function () {
+    beforeEach(on);
+    afterEach(off);
+
+    it('reports navigations that failed', function (next) {
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('error');
+        assume(payload.phase).equals('start');
+        assume(payload.settled).equals('error');
+        assume(payload.error).deep.equals({ name: 'Error', message: 'Failed to load' });
+        assume(timing.navigationStart).is.a('number');
+        assume(timing.loadEventEnd).is.atleast(timing.navigationStart);
+        assume(timing.domContentLoaded).is.a('null');
+
+        next();
+      });
+
+      rum.start('/failed');
+      global.next.router.events.emit('routeChangeError', new Error('Failed to load'), '/failed');
+
+      assume(rum.tracker.navigation).is.a('null');
+    });
+
+    it('reports navigations that were cancelled', function (next) {
+      const err = new Error('Route Cancelled');
+
+      err.cancelled = true;
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('cancelled');
+        assume(payload.error.message).equals('Route Cancelled');
+
+        next();
+      });
+
+      rum.start('/cancelled');
+      global.next.router.events.emit('routeChangeError', err, '/cancelled');
+    });
+
+    it('ignores errors without a navigation', function () {
+      global.next.router.events.emit('routeChangeError', new Error('nope'), '/nope');
+
+      assume(rum.tracker.last).is.a('null');
+    });
+
+    it('reports navigations that were superseded', function (next) {
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('superseded');
+        assume(payload.phase).equals('render');
+        assume(payload.settled).equals('navigation');
+        assume(payload.error).is.a('null');
+
+        next();
+      });
+
+      rum.start('/first');
+      rum.before({});
+      rum.start('/second');
+
+      assume(rum.get('navigationStart').url).equals('/second');
+    });
+
+    it('reports navigations that were abandoned', function (next) {
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('abandoned');
+        assume(payload.phase).equals('rendered');
+        assume(payload.settled).equals('hidden');
+
+        next();
+      });
+
+      rum.start('/abandoned');
+      rum.before({});
+      rum.after({});
+      rum.tracker.hidden({ type: 'pagehide' });
+    });
+
+    it('reports navigations that are in progress when unmounted', function (next) {
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('abandoned');
+        assume(payload.settled).equals('unmount');
+
+        next();
+      });
+
+      rum.start('/unmounted');
+      off();
+      on();
+    });
+  });
+
+  describe('sampling', function () {
+    it('includes the sample rate in the payload', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } sampleRates={{ '/sampled': 1 }} />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.sampleRate).equals(1);
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/sampled');
+    });
+
+    it('skips the navigations that are sampled out', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } sampleRate={ 0 } />);
+      const instance = enzyme.instance();
+      let called = false;
+
+      instance.tracker.resourceTiming = () => {
+        throw new Error('should not gather the resources');
+      };
+
+      events.once('navigated', () => (called = true));
+
+      global.next.router.events.once('routeChangeComplete', function () {
+        assume(called).is.false();
+        assume(instance.tracker.navigation).is.a('null');
+        assume(instance.tracker.last).is.a('null');
+
+        events.removeAllListeners('navigated');
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/sampled-out');
+    });
+  });
+
+  describe('enrich', function () {
+    it('adds the context to the payload', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } enrich={ true } />);
+
+      assume(enzyme.instance().tracker.unlisten).is.a('function');
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.context).is.a('object');
+        assume(payload.context.session).is.a('string');
+        assume(payload.context.sequence).is.a('number');
+        assume(payload.context.trigger).equals('script');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/enriched');
+    });
+
+    it('does not add context by default', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.context).is.a('null');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/plain');
+    });
+  });
+
+  describe('redact', function () {
+    beforeEach(polyfill);
+
+    it('redacts the path and resources', function (next) {
+      const redact = [(url) => url.replace(/\/\d+/g, '/:id').split('?')[0]];
+      const router = global.next.router;
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } redact={ redact } />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        delete router.pathname;
+
+        assume(url).equals('/account/:id');
+        assume(payload.path).equals('/account/:id');
+        assume(payload.route).equals('/account/[id]');
+        assume(resources.map((entry) => entry.name)).includes('http://example.com/assets/image.jpg');
+
+        enzyme.unmount();
+        next();
+      });
+
+      const original = global.performance.getEntriesByType;
+
+      global.performance.getEntriesByType = (type) => original(type).map((entry) => {
+        return { ...entry, name: `${entry.name}?token=secret` };
+      });
+
+      router.pathname = '/account/[id]';
+      reportWebVitals();
+      emulate('/account/12?email=foo@example.com');
+    });
+
+    it('redacts the scripts that blocked the main thread', function (next) {
+      const fake = observer(['long-animation-frame']);
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } redact={ [(url) => url.split('?')[0]] } />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.blocking.tbt).equals(70);
+        assume(payload.blocking.count).equals(1);
+        assume(payload.blocking.scripts).deep.equals([{
+          url: 'https://example.com/app.js',
+          fn: 'render',
+          invoker: 'click',
+          count: 1,
+          duration: 90
+        }]);
+
+        enzyme.unmount();
+        fake.restore();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/blocking');
+
+      fake.emit('long-animation-frame', [{
+        startTime: Date.now() - timeOrigin(),
+        duration: 120,
+        blockingDuration: 70,
+        scripts: [{
+          sourceURL: 'https://example.com/app.js?session=secret',
+          sourceFunctionName: 'render',
+          invoker: 'click',
+          duration: 90
+        }]
+      }]);
+    });
+  });
+
+  describe('server timing', function () {
+    beforeEach(polyfill);
+
+    it('summarizes the Server-Timing of the data request', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+      const original = global.performance.getEntriesByType;
+
+      global.performance.getEntriesByType = (type) => original(type).map((entry, i) => {
+        if (i) return entry;
+
+        return {
+          ...entry,
+          name: 'http://example.com/_next/data/build/products.json',
+          startTime: entry.startTime + 100,
+          serverTiming: [{ name: 'db', duration: 3 }, { name: 'render', duration: 2 }]
+        };
+      });
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.server.backend).equals(5);
+        assume(payload.server.metrics).deep.equals({ db: 3, render: 2 });
+        assume(payload.server.frontend).equals(timing.loadEventEnd - timing.navigationStart - 5);
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/products');
+    });
+
+    it('is null without Server-Timing', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.server).is.a('null');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/no-server-timing');
+    });
+  });
+
+  describe('queue', function () {
+    it('retries the payloads that failed on the next navigation', function (next) {
+      const paths = [];
+
+      /**
+       * Transport that fails the first delivery.
+       *
+       * @param {String} path The path of the navigation.
+       * @returns {Promise|Boolean} The result of the delivery.
+       * @private
+       */
+      function transport(path) {
+        paths.push(path);
+
+        return paths.length === 1 ? Promise.reject(new Error('offline')) : true;
+      }
+
+      const enzyme = mount(
+        <RUM navigated={ transport } delay={ 0 } queue={{ backoff: 0, key: 'next-rum:unit' }} />
+      );
+
+      reportWebVitals();
+      emulate('/first');
+
+      setTimeout(function () {
+        assume(paths).deep.equals(['/first']);
+
+        reportWebVitals();
+        emulate('/second');
+
+        setTimeout(function () {
+          assume(paths).deep.equals(['/first', '/first', '/second']);
+          assume(enzyme.instance().tracker.queue.pending()).is.length(0);
+
+          enzyme.unmount();
+          next();
+        }, 50);
+      }, 50);
+    });
+  });
+
+  describe('milestones', function () {
+    const milestones = { '/product/[id]': ['hero-visible'] };
+
+    afterEach(function () {
+      delete global.next.router.pathname;
+    });
+
+    it('includes the milestones in the payload', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.milestones).has.property('list-visible');
+        assume(payload.milestones['list-visible']).is.atleast(0);
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/list');
+
+      enzyme.instance().mark('list-visible');
+      enzyme.instance().mark('list-visible');
+    });
+
+    it('holds the payload until the required milestones are marked', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } milestones={ milestones } />);
+      let marked = false;
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(marked).is.true();
+        assume(payload.milestones['hero-visible']).is.atleast(50);
+
+        enzyme.unmount();
+        next();
+      });
+
+      global.next.router.pathname = '/product/[id]';
+      reportWebVitals();
+      emulate('/product/12');
+
+      setTimeout(function () {
+        marked = true;
+        enzyme.instance().mark('hero-visible');
+      }, 50);
+    });
+
+    it('stops waiting for the milestones after the timeout', function (next) {
+      const enzyme = mount(
+        <RUM navigated={ navigated } delay={ 0 } milestones={ milestones } milestoneTimeout={ 20 } />
+      );
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.status).equals('complete');
+        assume(payload.milestones).deep.equals({ 'hero-visible': null });
+
+        enzyme.unmount();
+        next();
+      });
+
+      global.next.router.pathname = '/product/[id]';
+      reportWebVitals();
+      emulate('/product/13');
+    });
+  });
+
+  describe('user timing', function () {
+    beforeEach(polyfill);
+
+    it('writes the phases and collects the marks of the application', function (next) {
+      const performance = global.performance;
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+      const written = [];
+      const marks = [];
+
+      performance.mark = (name, options) => {
+        written.push(name);
+
+        return { name, entryType: 'mark', startTime: options.startTime };
+      };
+      performance.measure = (name) => written.push(name);
+      performance.getEntriesByType = (type) => marks.filter((entry) => entry.entryType === type);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(written).includes('next-rum:navigationStart');
+        assume(written).includes('next-rum:loadEventEnd');
+        assume(written).includes('next-rum:navigation');
+        assume(payload.marks).is.length(1);
+        assume(payload.marks[0].name).equals('products-loaded');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/user-timing');
+
+      marks.push({
+        entryType: 'mark',
+        name: 'products-loaded',
+        startTime: Date.now() - timeOrigin() + 100,
+        duration: 0
+      });
+    });
+  });
+
+  describe('format', function () {
+    it('formats the timing as Navigation Timing Level 2', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } format='l2' />);
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.rum).equals(timing);
+        assume(timing.type).equals('soft');
+        assume(timing.startTime).is.above(0);
+        assume(timing.fetchStart).equals(0);
+        assume(timing.duration).equals(timing.loadEventEnd);
+        assume(timing.render).equals(17.36);
+        assume(timing).does.not.have.property('navigationStart');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/level-2');
+    });
+  });
+
+  describe('initial page load', function () {
+    beforeEach(polyfill);
+
+    it('reports the initial page load', function (next) {
+      //
+      // Next.js starts the hydration before we're mounted, and completes it
+      // once we are.
+      //
+      global.next.emitter.emit('before-reactdom-render', {});
+
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+      const instance = enzyme.instance();
+      const start = global.performance.timing.navigationStart;
+
+      Object.assign(global.performance.timing, {
+        responseStart: start + 100,
+        responseEnd: start + 200,
+        domLoading: start + 210,
+        domContentLoadedEventStart: start + 400,
+        loadEventEnd: start + 900
+      });
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.hard).is.true();
+        assume(payload.id).equals(instance.tracker.navigation.id);
+        assume(timing.navigationStart).equals(start);
+        assume(timing.requestStart).equals(0);
+        assume(timing.responseStart).equals(start + 100);
+        assume(timing.domLoading).equals(start + 210);
+        assume(timing.domContentLoaded).equals(start + 400);
+        assume(timing.loadEventEnd).equals(start + 900);
+        assume(timing).does.not.have.property('hydrationStart');
+        assume(timing).does.not.have.property('hydrationDuration');
+
+        enzyme.unmount();
+        next();
+      });
+
+      instance.tracker.load();
+
+      assume(instance.tracker.navigation.hard).is.true();
+      assume(instance.tracker.navigation.start).equals(instance.tracker.timeOrigin);
+
+      global.next.emitter.emit('after-reactdom-render', {});
+    });
+
+    it('prefers the hydration reported by Next.js', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } />);
+      const start = global.performance.timing.navigationStart;
+
+      global.performance.timing.loadEventEnd = start + 900;
+      handler({ name: 'Next.js-hydration', startTime: -100000, value: 42 });
+
+      events.once('navigated', function (url, timing) {
+        assume(timing.hydrationStart).equals(webVitals.hydrationStart);
+        assume(timing.hydrationDuration).equals(42);
+
+        webVitals.hydrationStart = webVitals.hydrationDuration = null;
+        enzyme.unmount();
+        next();
+      });
+
+      enzyme.instance().tracker.load();
+    });
+
+    it('does not report the initial page load without timing', function (next) {
+      const enzyme = mount(<RUM navigated={ () => { throw new Error('should not be called'); } } delay={ 0 } />);
+      const instance = enzyme.instance();
+
+      instance.tracker.load();
+
+      setTimeout(function () {
+        assume(instance.tracker.navigation).is.a('null');
+
+        enzyme.unmount();
+        next();
+      }, 10);
+    });
+  });
+
+  describe('settle', function () {
+    it('waits for the network to settle', function (next) {
+      const enzyme = mount(<RUM navigated={ navigated } settle={{ quiet: 10, timeout: 1000 }} />);
+
+      assume(enzyme.instance().tracker.unintercept).is.a('function');
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(url).equals('/settled');
+        assume(payload.settled).equals('quiet');
+        assume(payload.hard).is.false();
+        assume(payload.status).equals('complete');
+        assume(payload.phase).equals('complete');
+        assume(payload.error).is.a('null');
+
+        enzyme.unmount();
+        next();
+      });
+
+      global.next.router.events.once('routeChangeComplete', function () {
+        assume(enzyme.instance().tracker.settler).is.a('function');
+      });
+
+      reportWebVitals();
+      emulate('/settled');
+    });
+
+    it('records the fixed delay', function (next) {
+      on();
+
+      assume(rum.tracker.unintercept).is.a('null');
+
+      events.once('navigated', function (url, timing, resources, payload) {
+        assume(payload.settled).equals('delay');
+
+        off();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/delayed');
+    });
+  });
+
+  describe('reporter', function () {
+    it('creates a reporter for the given endpoint', function () {
+      const enzyme = shallow(<RUM endpoint='https://example.com/rum' />);
+
+      assume(enzyme.instance().tracker.reporter).is.instanceOf(Reporter);
+      assume(enzyme.instance().tracker.reporter.endpoint).equals('https://example.com/rum');
+      enzyme.unmount();
+    });
+
+    it('pushes the payload to the reporter', function (next) {
+      const reporter = {
+        push: (payload) => events.emit('push', payload),
+        flush: () => {}
+      };
+
+      const enzyme = mount(<RUM reporter={ reporter } delay={ 0 } />);
+
+      events.once('push', function (payload) {
+        assume(payload.path).equals('/reported');
+        assume(payload.rum).is.a('object');
+        assume(payload.entries).is.a('array');
+
+        enzyme.unmount();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/reported');
+    });
+
+    it('flushes the reporter when the page is hidden', function () {
+      let flushed = 0;
+      const reporter = {
+        push: () => {},
+        flush: () => flushed++
+      };
+
+      const enzyme = mount(<RUM reporter={ reporter } />);
+      enzyme.instance().tracker.hidden({ type: 'pagehide' });
+
+      assume(flushed).equals(1);
+      enzyme.unmount();
+    });
+  });
+
   describe('performance', function () {
     beforeEach(polyfill);
 
@@ -338,7 +1195,78 @@ describe('RUM Component', function () {
         next();
       });
 
-      shallow(<RUM navigated={ navigated } setResourceTimingBufferSize={ 300 } />);
+      shallow(<RUM navigated={ navigated } setResourceTimingBufferSize={ 300 } />).unmount();
+    });
+
+    it('collects the resources with an observer', function (next) {
+      const fake = observer(['resource']);
+      let cleared = false;
+
+      global.performance.emitter.once('clearResourceTimings', () => (cleared = true));
+
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } observeResources={ true } />);
+      const instance = enzyme.instance();
+
+      events.once('navigated', function (url, payload, resources) {
+        assume(cleared).is.false();
+        assume(resources).is.length(1);
+        assume(resources[0].name).equals('http://example.com/observed.js');
+
+        enzyme.unmount();
+        fake.restore();
+
+        assume(fake.observers).is.length(0);
+        next();
+      });
+
+      assume(instance.tracker.collector).is.a('object');
+
+      reportWebVitals();
+      emulate('/observed');
+
+      //
+      // The `reportWebVitals` places the navigationStart slightly in the
+      // future, so our resource should start after it.
+      //
+      const now = Date.now() - global.performance.timeOrigin;
+
+      fake.emit('resource', [{
+        name: 'http://example.com/observed.js',
+        startTime: now + 50,
+        fetchStart: now + 50,
+        responseEnd: now + 60
+      }]);
+    });
+
+    it('uses the matchers to find the data request', function (next) {
+      const fake = observer(['resource']);
+      const matchers = { data: /\/observed\.json$/ };
+      const origin = global.performance.timeOrigin;
+      const now = Date.now() - origin;
+
+      const enzyme = mount(<RUM navigated={ navigated } delay={ 0 } observeResources={ true } matchers={ matchers } />);
+
+      events.once('navigated', function (url, timing) {
+        assume(timing.requestStart).equals(origin + now + 55);
+        assume(timing.responseStart).equals(origin + now + 80);
+        assume(timing.responseEnd).equals(origin + now + 90);
+
+        enzyme.unmount();
+        fake.restore();
+        next();
+      });
+
+      reportWebVitals();
+      emulate('/observed');
+
+      fake.emit('resource', [{
+        name: 'http://example.com/observed.json',
+        startTime: now + 50,
+        fetchStart: now + 50,
+        requestStart: now + 55,
+        responseStart: now + 80,
+        responseEnd: now + 90
+      }]);
     });
 
     it('clears the resource timing buffer', function (next) {
@@ -0,0 +1,95 @@
+import { record, gather } from '../usertiming';
+import polyfill from './polyfill';
+import assume from 'assume';
+
+describe('usertiming', function () {
+  let written;
+  let recorded;
+  let origin;
+
+  beforeEach(function () {
+    polyfill();
+
+    const performance = global.performance;
+
+    origin = performance.timeOrigin;
+    written = [];
+    recorded = [];
+
+    performance.mark = (name, options) => {
+      written.push({ type: 'mark', name, options });
+
+      return { name, entryType: 'mark', startTime: options.startTime, detail: options.detail };
+    };
+    performance.clearMarks = (name) => (written = written.filter((entry) => entry.name !== name));
+    performance.measure = (name, options) => written.push({ type: 'measure', name, options });
+    performance.getEntriesByType = (type) => recorded.filter((entry) => entry.entryType === type);
+  });
+
+  describe('#record', function () {
+    it('writes the phases as marks', function () {
+      record({ navigationStart: origin + 100, domLoading: origin + 150, loadEventEnd: origin + 400 }, { id: 'foo' });
+
+      const marks = written.filter((entry) => entry.type === 'mark');
+
+      assume(marks.map((entry) => entry.name)).deep.equals([
+        'next-rum:navigationStart',
+        'next-rum:domLoading',
+        'next-rum:loadEventEnd'
+      ]);
+      assume(marks[0].options).deep.equals({ startTime: 100, detail: { id: 'foo' }});
+    });
+
+    it('writes the measures of the phases that are known', function () {
+      record({ navigationStart: origin + 100, domLoading: origin + 150, loadEventEnd: origin + 400 }, { id: 'foo' });
+
+      const measures = written.filter((entry) => entry.type === 'measure');
+
+      assume(measures).is.length(1);
+      assume(measures[0].name).equals('next-rum:navigation');
+      assume(measures[0].options).deep.equals({ start: 100, end: 400, detail: { id: 'foo' }});
+    });
+
+    it('skips the marks when the browser writes them at the current time', function () {
+      global.performance.mark = (name) => {
+        written.push({ type: 'mark', name });
+      };
+
+      record({ navigationStart: origin + 100, domLoading: origin + 150, loadEventEnd: origin + 400 }, { id: 'foo' });
+
+      assume(written).deep.equals([]);
+    });
+
+    it('ignores browsers without User Timing Level 3', function () {
+      global.performance.mark = () => {
+        throw new TypeError('Failed to execute mark');
+      };
+
+      assume(() => record({ navigationStart: origin + 100 }, {})).does.not.throw();
+    });
+  });
+
+  describe('#gather', function () {
+    it('collects the marks and measures of the application', function () {
+      recorded.push(
+        { entryType: 'measure', name: 'fetch-products', startTime: 120, duration: 80 },
+        { entryType: 'mark', name: 'hero-visible', startTime: 250, duration: 0, detail: { id: 1 }},
+        { entryType: 'mark', name: 'next-rum:navigationStart', startTime: 100, duration: 0 }
+      );
+
+      assume(gather({ start: origin + 100, end: origin + 400 })).deep.equals([
+        { name: 'fetch-products', entryType: 'measure', startTime: 20, duration: 80, detail: null },
+        { name: 'hero-visible', entryType: 'mark', startTime: 150, duration: 0, detail: { id: 1 }}
+      ]);
+    });
+
+    it('only collects the entries inside the navigation', function () {
+      recorded.push(
+        { entryType: 'mark', name: 'before', startTime: 50, duration: 0 },
+        { entryType: 'mark', name: 'after', startTime: 500, duration: 0 }
+      );
+
+      assume(gather({ start: origin + 100, end: origin + 400 })).deep.equals([]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { webVitals, reportWebVitals } from '../vitals';
+import { timeOrigin } from '../purrformance';
+import { begin } from '../navigations';
+import assume from 'assume';
+
+describe('vitals', function () {
+  let navigation;
+  let backup;
+  let now;
+
+  beforeEach(function () {
+    backup = { ...webVitals };
+    navigation = begin('/vitals');
+    now = navigation.start - timeOrigin();
+  });
+
+  afterEach(function () {
+    Object.assign(webVitals, backup);
+  });
+
+  describe('#reportWebVitals', function () {
+    it('sets the navigationStart on route-change-to-render', function () {
+      reportWebVitals({ name: 'Next.js-route-change-to-render', startTime: now, value: 50 });
+
+      assume(navigation.vitals.navigationStart).equals(timeOrigin() + now);
+    });
+
+    it('sets the load events and render duration on render', function () {
+      reportWebVitals({ name: 'Next.js-render', startTime: now + 50, value: 20 });
+
+      assume(navigation.vitals.loadEventStart).equals(timeOrigin() + now + 70);
+      assume(navigation.vitals.loadEventEnd).equals(timeOrigin() + now + 70);
+      assume(navigation.vitals.renderDuration).equals(20);
+    });
+
+    it('matches late metrics with the navigation they belong to', function () {
+      const following = begin('/following');
+
+      following.start = navigation.start + 1000;
+      reportWebVitals({ name: 'Next.js-render', startTime: now + 50, value: 20 });
+
+      assume(navigation.vitals.renderDuration).equals(20);
+      assume(following.vitals).deep.equals({});
+    });
+
+    it('uses the shared webVitals when there is no navigation', function () {
+      reportWebVitals({ name: 'Next.js-route-change-to-render', startTime: -timeOrigin(), value: 50 });
+
+      assume(webVitals.navigationStart).equals(0);
+      assume(navigation.vitals).deep.equals({});
+    });
+
+    it('sets the hydration timing on hydration', function () {
+      reportWebVitals({ name: 'Next.js-hydration', startTime: 10, value: 40 });
+
+      assume(webVitals.hydrationStart).equals(timeOrigin() + 10);
+      assume(webVitals.hydrationDuration).equals(40);
+    });
+
+    it('ignores other metrics', function () {
+      reportWebVitals({ name: 'LCP', startTime: now, value: 1200 });
+
+      assume(webVitals).deep.equals(backup);
+      assume(navigation.vitals).deep.equals({});
+    });
+  });
+});
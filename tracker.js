@@ -0,0 +1,1112 @@
+import purrformance, { bind, timeOrigin, timing, entries, find, collect } from './purrformance';
+import { begin, initial, claim, release } from './navigations';
+import { track, summarize, blocking } from './metrics';
+import { compile, defaults as matching } from './matchers';
+import settle, { intercept } from './settle';
+import format from './formats';
+import { rate, sampled } from './sampling';
+import { listen, enrich } from './context';
+import pipeline from './redact';
+import { record, gather } from './usertiming';
+import summarizeServer from './servertiming';
+import { webVitals } from './vitals';
+import { select } from './adapters';
+import Reporter from './reporter';
+import Queue from './queue';
+import { notify, transform, filter, senders } from './plugins';
+
+/**
+ * The default configuration of the tracker.
+ *
+ * @type {Object}
+ * @public
+ */
+export const defaults = {
+  clearResourceTimings: true,
+  observeResources: false,
+  resourceLimit: 250,
+  format: 'l1',
+  sampleRate: 1,
+  enrich: false,
+  redact: [],
+  plugins: [],
+  milestoneTimeout: 10000,
+  unload: true,
+  settle: {
+    quiet: 500,
+    timeout: 10000
+  }
+};
+
+/**
+ * Errors can not be serialized as JSON, so we only keep what we need.
+ *
+ * @param {Error} err The error.
+ * @returns {Object|Null} The `name` and `message` of the error.
+ * @private
+ */
+function serialize(err) {
+  if (!err) return null;
+
+  return {
+    name: err.name || 'Error',
+    message: err.message || String(err)
+  };
+}
+
+/**
+ * Measures the navigations of a Next.js application, without depending on
+ * React. It follows the navigation flow through the router and emitter that
+ * it's given, and assembles a payload for each navigation.
+ *
+ * @class
+ * @private
+ */
+class Tracker {
+  /**
+   * @constructor
+   * @param {Object} options Configuration, see `createTracker`.
+   * @private
+   */
+  constructor(options) {
+    this.options = { ...defaults };   // Configuration of the tracker.
+    this.emitter = null;              // Reference to next.emitter.
+    this.router = null;               // Reference to next.router.
+    this.adapter = null;              // Adapter for the Next.js internals.
+    this.untrack = null;              // Stops tracking the Core Web Vitals.
+    this.collector = null;            // Collects the resource entries.
+    this.loader = null;               // Completes the initial page load.
+    this.unintercept = null;          // Stops counting the requests in flight.
+    this.unlisten = null;             // Stops listening for interactions.
+    this.reporter = null;             // Delivers payloads to an endpoint.
+    this.queue = null;                // Persists payloads until delivered.
+    this.listeners = [];              // Subscribers for new payloads.
+    this.last = null;                 // The last payload that was assembled.
+
+    this.reset();
+    this.setup(options);
+  }
+
+  /**
+   * Prepare the tracker, everything in here only happens once.
+   *
+   * @param {Object} options Configuration, see `createTracker`.
+   * @private
+   */
+  setup(options) {
+    //
+    // Pre-bind all the methods that are passed around.
+    //
+    [
+      'before', 'after', 'start', 'complete', 'error', 'payload', 'flush',
+      'hidden', 'loaded', 'subscribe', 'attach', 'set', 'get', 'mark', 'proceed'
+    ].forEach(
+      (name) => (this[name] = this[name].bind(this))
+    );
+
+    this.configure(options);
+    this.timeOrigin = timeOrigin(this.perf);   // Start of the original navigation.
+
+    //
+    // Check if we need to increase the timing buffer, for most browsers there
+    // is already a decent size of 150~ set as buffer but for some more extreme
+    // cases you might want to track more.
+    //
+    const size = this.options.setResourceTimingBufferSize;
+    if (typeof size === 'number') {
+      this.perf('setResourceTimingBufferSize', size);
+    }
+
+    //
+    // When we've been given an endpoint we can deliver the payloads ourselves
+    // so there's no need to write a custom transport in `navigated`.
+    //
+    const { reporter, endpoint } = this.options;
+    if (reporter || endpoint) this.reporter = reporter || new Reporter(endpoint);
+
+    //
+    // Payloads that could not be delivered are persisted, and retried on the
+    // next navigation or page load.
+    //
+    const { queue } = this.options;
+    if (queue) this.queue = new Queue(queue === true ? {} : queue);
+  }
+
+  /**
+   * Update the configuration, e.g. when the props of the component change.
+   * The reporter and queue are only created once, the `clock` that returns the
+   * current EPOCH and the `perf` function that interacts with the performance
+   * API follow the configuration.
+   *
+   * @param {Object} options Configuration, see `createTracker`.
+   * @public
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.clock = this.options.clock || (() => Date.now());
+    this.perf = this.options.performance ? bind(this.options.performance) : purrformance;
+  }
+
+  /**
+   * Start following the navigations, this hooks into the router and emitter
+   * and measures the initial page load.
+   *
+   * @public
+   */
+  connect() {
+    this.hook();
+    this.untrack = track();
+
+    //
+    // Requests that are made during the navigation might still be in flight
+    // when it completes, so we need to start counting them right away.
+    //
+    if (typeof this.options.delay !== 'number') this.unintercept = intercept();
+    if (this.options.enrich) this.unlisten = listen();
+
+    if (this.options.observeResources) {
+      this.collector = collect({ limit: this.options.resourceLimit, api: this.perf });
+    }
+
+    if (this.queue) this.queue.drain(this.transports());
+
+    //
+    // The `beforeunload` and `unload` events are not reliable, they are not
+    // fired on mobile when the browser is closed from the app switcher and
+    // they prevent pages from entering the back/forward cache. `pagehide`
+    // and `visibilitychange` are the last events we can reliably act upon.
+    //
+    if (this.options.unload) {
+      if (global.addEventListener) global.addEventListener('pagehide', this.hidden);
+      if (global.document) global.document.addEventListener('visibilitychange', this.hidden);
+    }
+
+    //
+    // The initial page load is rendered by the server, so it never triggers a
+    // `routeChangeStart`, we measure it ourselves, once.
+    //
+    if (claim(this) && initial()) this.load();
+  }
+
+  /**
+   * Stop following the navigations, and remove all the hooks we've placed.
+   *
+   * @public
+   */
+  disconnect() {
+    //
+    // Before we completely destroy our references, check if we have a current
+    // buffer that should be flushed.
+    //
+    this.flush('unmount');
+    this.unhook();
+    this.untrack();
+    release(this);
+
+    if (this.unintercept) this.unintercept();
+    if (this.unlisten) this.unlisten();
+    this.unintercept = this.unlisten = null;
+
+    if (this.collector) this.collector.stop();
+    this.collector = null;
+
+    if (this.options.unload) {
+      if (global.removeEventListener) global.removeEventListener('pagehide', this.hidden);
+      if (global.document) global.document.removeEventListener('visibilitychange', this.hidden);
+    }
+
+    if (global.removeEventListener) global.removeEventListener('load', this.loaded);
+    clearTimeout(this.loader);
+
+    if (this.reporter) this.reporter.flush();
+  }
+
+  /**
+   * Hook into the Next.js internals to follow the navigation flow. Not every
+   * version of Next.js exposes the same internals, and we might not even be
+   * rendered by Next.js, so we select the adapter that best fits.
+   *
+   * @private
+   */
+  hook() {
+    const { router, emitter, adapter } = this.options;
+    const next = { router, emitter };
+
+    this.adapter = adapter || select(next);
+    this.adapter.hook(this, next);
+  }
+
+  /**
+   * Remove all the hooks we've placed on the Next.js internals.
+   *
+   * @private
+   */
+  unhook() {
+    this.adapter.unhook(this);
+    this.adapter = null;
+  }
+
+  /**
+   * Start measuring the initial page load. Its timing is only complete once
+   * the document has loaded.
+   *
+   * @private
+   */
+  load() {
+    const url = this.path();
+    const document = global.document;
+
+    this.navigation = begin(url, { start: this.timeOrigin, origin: this.timeOrigin, hard: true });
+    this.set('navigationStart', { url, id: this.navigation.id });
+    this.lifecycle('onStart');
+
+    if (document && document.readyState !== 'complete' && global.addEventListener) {
+      global.addEventListener('load', this.loaded);
+    } else {
+      this.loaded();
+    }
+  }
+
+  /**
+   * The document has loaded, the `loadEventEnd` is only known once all the
+   * `load` listeners have been called, so we complete the initial page load
+   * in the next tick.
+   *
+   * @private
+   */
+  loaded() {
+    if (global.removeEventListener) global.removeEventListener('load', this.loaded);
+
+    //
+    // A soft navigation might have started before the document loaded, it
+    // owns the `timer` so it should not be touched.
+    //
+    if (!this.navigation || !this.navigation.hard) return;
+
+    clearTimeout(this.loader);
+    this.loader = setTimeout(() => {
+      this.loader = null;
+
+      if (this.navigation && this.navigation.hard) this.complete(this.navigation.url);
+    }, 0);
+  }
+
+  /**
+   * The path of the page that we've navigated to.
+   *
+   * @returns {String} The path.
+   * @public
+   */
+  path() {
+    if (this.options.path) return this.options.path();
+
+    return this.router ? this.router.asPath : global.location.pathname;
+  }
+
+  /**
+   * The route of the page that we've navigated to, e.g. `/account/[id]`.
+   *
+   * @returns {String|Null} The route, when it's known.
+   * @public
+   */
+  route() {
+    return this.router && this.router.pathname ? this.router.pathname : null;
+  }
+
+  /**
+   * The route of the page, or its path without the query string when the
+   * route is not known, e.g. with the App Router. It's used to look up the
+   * configuration per route.
+   *
+   * @param {String} path The redacted path of the page.
+   * @returns {String} The route.
+   * @private
+   */
+  template(path) {
+    return this.route() || path.split('?')[0];
+  }
+
+  /**
+   * The timing information that marks the start, render, and end of the
+   * navigation. These are gathered by the Next.js `reportWebVitals` function,
+   * when they are not available we fall back to our own timing information.
+   *
+   * @returns {Object} The `navigationStart`, `loadEventStart`, `loadEventEnd`
+   * and `renderDuration`.
+   * @public
+   */
+  vitals() {
+    const candidates = [
+      this.navigation && this.navigation.vitals,
+      webVitals
+    ];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const vitals = candidates[i];
+
+      if (vitals && vitals.navigationStart && vitals.loadEventStart && vitals.loadEventEnd) {
+        return vitals;
+      }
+    }
+
+    const now = (name) => (this.get(name) || {}).now;
+    const rendered = now('domContentLoaded');
+    const loading = now('domLoading');
+
+    return {
+      navigationStart: now('navigationStart'),
+      loadEventStart: rendered,
+      loadEventEnd: now('loadEventEnd'),
+      renderDuration: rendered && loading ? rendered - loading : null
+    };
+  }
+
+  /**
+   * Set new timing information.
+   *
+   * @param {String} name Name of the timing event.
+   * @param {Object} data Additional information.
+   * @public
+   */
+  set(name, data) {
+    this.timings[name] = {
+      ...data,
+      now: this.clock()
+    };
+  }
+
+  /**
+   * Find a stat for a given name.
+   *
+   * @param {String} name Name of the metrict we want to read.
+   * @returns {Object|Undefined} The additional timing info.
+   * @public
+   */
+  get(name) {
+    return this.timings[name];
+  }
+
+  /**
+   * Attach additional data to the current navigation, it will be included
+   * as `data` in the payload.
+   *
+   * @param {String} key Name of the data.
+   * @param {Mixed} value The data.
+   * @public
+   */
+  attach(key, value) {
+    this.data[key] = value;
+  }
+
+  /**
+   * Mark a milestone of the current navigation, e.g. `hero-visible`, it's
+   * included in the payload as ms since the start of the navigation. Only the
+   * first mark of a milestone is kept.
+   *
+   * @param {String} name Name of the milestone.
+   * @public
+   */
+  mark(name) {
+    const navigation = this.navigation;
+
+    if (!navigation || name in navigation.milestones) return;
+
+    navigation.milestones[name] = this.clock() - navigation.start;
+    if (this.holding && !this.missing().length) this.proceed();
+  }
+
+  /**
+   * The milestones that the route requires, but were not marked yet.
+   *
+   * @returns {Array} Names of the milestones.
+   * @private
+   */
+  missing() {
+    const route = this.template(pipeline(this.options.redact)(this.path()));
+    const required = (this.options.milestones || {})[route] || [];
+
+    return required.filter((name) => !(name in this.navigation.milestones));
+  }
+
+  /**
+   * Notify the plugins of a lifecycle event of the current navigation.
+   *
+   * @param {String} hook Name of the hook, e.g. `onStart`.
+   * @private
+   */
+  lifecycle(hook) {
+    if (!this.navigation) return;
+
+    const { id, url, hard } = this.navigation;
+
+    notify(this.options.plugins, hook, { id, url, hard });
+  }
+
+  /**
+   * Subscribe to newly assembled payloads.
+   *
+   * @param {Function} fn Called with the payload.
+   * @returns {Function} Unsubscribes the listener.
+   * @public
+   */
+  subscribe(fn) {
+    this.listeners.push(fn);
+
+    return () => {
+      this.listeners = this.listeners.filter((listener) => listener !== fn);
+    };
+  }
+
+  /**
+   * Forcefully flush any gathered metrics that we've gathered. Even if we
+   * are asked to delay the gathering. This will be done incase of unloading
+   * of the page, so metrics can still be send if needed.
+   *
+   * @param {String} reason The condition that ended the measurement.
+   * @returns {undefined} Nothing.
+   * @private
+   */
+  flush(reason) {
+    if (this.timer || this.settler) return this.payload(reason);
+    if (!this.navigation) return this.reset();
+
+    //
+    // The navigation did not complete, a new navigation started or we are
+    // unmounted, it's still reported as that is where users suffer the most.
+    //
+    this.abort(reason === 'navigation' ? 'superseded' : 'abandoned', reason);
+  }
+
+  /**
+   * Reset out `timings` tracking object to nothing.
+   *
+   * @public
+   */
+  reset() {
+    clearTimeout(this.timer);
+    if (this.settler) this.settler();
+
+    this.timer = null;                // Reference to a timer.
+    this.settler = null;              // Stops waiting for the network to settle.
+    this.holding = false;             // Waiting for the required milestones.
+    this.navigation = null;           // The navigation that we're measuring.
+    this.timings = {};                // Store timing data.
+    this.data = {};                   // Data attached to the navigation.
+  }
+
+  /**
+   * The page is hidden, or about to be unloaded. This might be the last
+   * opportunity that we get to send data, so any payload that is held back
+   * while the network settles is assembled right away and the reporter is
+   * flushed.
+   *
+   * Unlike `flush` we do not end navigations that are still in progress as
+   * the user might just be switching tabs, unless the page is unloaded.
+   *
+   * @param {Event} e The `pagehide` or `visibilitychange` event.
+   * @private
+   */
+  hidden(e) {
+    const document = global.document;
+
+    if (
+      e && e.type === 'visibilitychange'
+      && document && document.visibilityState !== 'hidden'
+    ) return;
+
+    if (this.timer || this.settler) {
+      this.payload('hidden');
+    } else if (this.navigation && e && e.type === 'pagehide') {
+      this.abort('abandoned', 'hidden');
+    }
+
+    if (this.reporter) this.reporter.flush();
+  }
+
+  /**
+   * Responds to the `before-reactdom-render` call as DOM loading as this call
+   * will unmount any previous components, clearing up the DOM, ready for
+   * rendering.
+   *
+   * appProps.err will indicate if there was error previously during rendering
+   * so there might be multiple before calls.
+   *
+   * @private
+   */
+  before({ appProps } = {}) {
+    //
+    // It's possible that we get an error while rendering the application.
+    //
+    // - Error is thrown during rendering
+    // - Error triggers, ErrorBoundry of Next
+    // - ErrorBoundry triggers RenderError
+    // - Sets ErrorComponent as Component
+    // - Calls render again, here we are with appProps.err set and another
+    //   `before-reactdom-render` attempt.
+    //
+    // The navigation still completes, but with an error.
+    //
+    if (appProps && appProps.err && this.navigation) {
+      this.navigation.status = 'error';
+      this.navigation.error = appProps.err;
+    }
+
+    //
+    // So we don't want to override an existing `domLoading` event that
+    // we already set, because then we will have the time of when the error
+    // is rendered, not when we first started to render.
+    //
+    if (this.get('domLoading')) return;
+
+    this.set('domLoading');
+  }
+
+  /**
+   * Responds to the `after-reactdom-render` call, the component has been
+   * mounted in the DOM.
+   *
+   * @private
+   */
+  after(/* { Component, ErrorComponent, appProps } */) {
+    //
+    // It is worth noting, that we do not case how many times this called
+    // unliked the `before` method, as we **want** to override the timing
+    // information with the latest call.
+    //
+    this.set('domContentLoaded');
+    this.lifecycle('onRender');
+  }
+
+  /**
+   * The `routeChangeStart` event is called, so we are about to fetch and
+   * navigate to a different URL.
+   *
+   * @param {String} url The URL we're about to load.
+   * @private
+   */
+  start(url) {
+    //
+    // When multiple instances are mounted, only one of them is allowed to
+    // measure, so the navigation is not reported multiple times.
+    //
+    if (!claim(this)) return;
+
+    //
+    // Check if we already have data queued, if that is the case we want to
+    // make sure that we flush it, and reset our metrics.
+    //
+    this.flush('navigation');
+
+    //
+    // Clearning the resourceTimings does a couple of useful things for us:
+    //
+    // 1. It ensures that we do not overflow our resource buffer. Browsers have
+    //    a fixed limit of the amount of resources they can track. By clearning
+    //    it on the start we reduce free up memory, and allow all requests that
+    //    are made during the navigation phase being captured.
+    // 2. We have to track and check less performance entries once we are done
+    //    so we can safely assume that the first request that is in the entries
+    //    will be the start of our request.
+    //
+    // When we collect the entries ourselves, we only have to clear our own
+    // buffer and can leave the browser's buffer untouched.
+    //
+    if (this.collector) {
+      this.collector.clear();
+    } else if (this.options.clearResourceTimings) {
+      this.perf('clearResourceTimings');
+    }
+
+    this.navigation = begin(url, { start: this.clock(), origin: this.timeOrigin });
+    this.set('navigationStart', { url, id: this.navigation.id });
+    this.lifecycle('onStart');
+  }
+
+  /**
+   * The `routeChangeComplete` event is called.
+   *
+   * @param {String} url The URL we've just loaded.
+   * @private
+   */
+  complete(url) {
+    if (!this.navigation) return;
+
+    this.set('loadEventEnd', { url });
+    this.lifecycle('onComplete');
+
+    clearTimeout(this.timer);
+    if (this.settler) this.settler();
+
+    //
+    // The page might only show its main content once its data is loaded
+    // client-side, so we hold the payload until the milestones that the
+    // route requires are marked, or we've waited long enough.
+    //
+    if (this.missing().length) {
+      this.holding = true;
+      this.timer = setTimeout(this.proceed, this.options.milestoneTimeout);
+    } else {
+      this.proceed();
+    }
+  }
+
+  /**
+   * The navigation is complete, gather the payload once the network has
+   * settled.
+   *
+   * @private
+   */
+  proceed() {
+    const { delay, settle: options } = this.options;
+
+    //
+    // The performance ResourceAPI only contains files that are fully loaded,
+    // items that are in flight are not included. So when a page loads images
+    // after the page is rendered, we want to capture those as well as last.
+    //
+    // Unless a fixed `delay` is given, we wait for the network to settle
+    // as the amount of time that is needed differs for each page.
+    //
+    clearTimeout(this.timer);
+    this.holding = false;
+    this.timer = null;
+
+    if (typeof delay !== 'number') {
+      this.settler = settle({ ...options, clock: this.clock, api: this.perf }, this.payload);
+    } else if (delay) {
+      this.timer = setTimeout(() => this.payload('delay'), delay);
+    } else {
+      this.payload('complete');
+    }
+  }
+
+  /**
+   * The `routeChangeError` event is called, the navigation failed or was
+   * cancelled by Next.js.
+   *
+   * @param {Error} err The reason of the failure.
+   * @private
+   */
+  error(err) {
+    if (!this.navigation) return;
+
+    this.abort(err && err.cancelled ? 'cancelled' : 'error', 'error', err);
+  }
+
+  /**
+   * End the navigation before it completed, it's reported with the status
+   * and how far it got.
+   *
+   * @param {String} status `error`, `cancelled`, `superseded` or `abandoned`.
+   * @param {String} reason The condition that ended the measurement.
+   * @param {Error} err The error that ended the navigation.
+   * @private
+   */
+  abort(status, reason, err) {
+    this.navigation.status = status;
+    if (err) this.navigation.error = err;
+
+    this.payload(reason);
+  }
+
+  /**
+   * How far the navigation got.
+   *
+   * @returns {String} `start`, `render`, `rendered` or `complete`.
+   * @public
+   */
+  phase() {
+    if (this.get('loadEventEnd')) return 'complete';
+    if (this.get('domContentLoaded')) return 'rendered';
+    if (this.get('domLoading')) return 'render';
+
+    return 'start';
+  }
+
+  /**
+   * Find the requests for the page bundle and data of the navigation, their
+   * timing is a better indication of the request/response than our own.
+   *
+   * @param {Array} resources The items that are loaded during the navigation.
+   * @param {Object} rum The RUM timing object that we can improve.
+   * @private
+   */
+  requests(resources, rum) {
+    const matchers = this.options.matchers || {};
+    const context = { path: this.path(), route: this.route() };
+    const page = find(resources, compile(matchers.page || matching.page, context));
+    const data = find(resources, compile(matchers.data || matching.data, context));
+
+    //
+    // We can use the request that fetches the JavaScript bundle that contains
+    // the page component as starting/end time of the request. It's still
+    // missing the time it took to fetch `getInitialProps` on the component,
+    // but still an improvement over the normal metrics
+    //
+    if (page) {
+      if (page.responseStart) rum.responseStart = page.responseStart;
+      if (page.responseEnd) rum.responseEnd = page.responseEnd;
+    }
+
+    //
+    // The data request is made for `getServerSideProps` and `getInitialProps`
+    // so it reflects the time that the server needed to respond. Cross-origin
+    // requests might not expose their timing, so these are ignored.
+    //
+    if (data) {
+      ['requestStart', 'responseStart'].forEach((name) => {
+        if (data[name] > rum.navigationStart) rum[name] = data[name];
+      });
+
+      if (data.responseEnd > rum.responseEnd) rum.responseEnd = data.responseEnd;
+    }
+  }
+
+  /**
+   * The Server-Timing of the navigation, it's read from the document for the
+   * initial page load and from the data requests for client side navigations.
+   *
+   * @param {Array} resources The resources of the navigation.
+   * @param {Object} rum The RUM timing.
+   * @returns {Object|Null} The summary, see `servertiming.js`.
+   * @private
+   */
+  server(resources, rum) {
+    const matchers = this.options.matchers || {};
+    const context = { path: this.path(), route: this.route() };
+    const sources = this.navigation.hard
+      ? [purrformance.navigation(this.perf)]
+      : resources.filter(compile(matchers.data || matching.data, context));
+
+    return summarizeServer(sources, rum);
+  }
+
+  /**
+   * Grab all ResourceAPI entries and see if we can extract relevant data
+   * from it to make the timing information more accurate.
+   *
+   * @param {Object} range Start and end time in which the requests could start.
+   * @param {Object} rum The RUM timing object that we can improve.
+   * @returns {Array} resources The items that are loaded during the navigation.
+   * @public
+   */
+  resourceTiming(range, rum) {
+    const resources = entries(
+      range,
+      this.collector ? this.collector.entries() : this.perf('getEntriesByType', 'resource'),
+      this.timeOrigin
+    );
+
+    //
+    // The document timing of the initial page load already contains the
+    // request and response of the page.
+    //
+    if (!this.navigation.hard) this.requests(resources, rum);
+
+    //
+    // The `loadEventStart` should be the same as the `domComplete` time as
+    // that is when the resources can start with loading. To more accurately
+    // estimate the `loadEventEnd` we can see it the last resource that is
+    // loaded on the page end later our basic rum timing and use that instead.
+    //
+    const last = resources[resources.length - 1];
+    if (last && last.responseEnd > rum.loadEventEnd) {
+      rum.loadEventEnd = last.responseEnd;
+    }
+
+    return resources;
+  }
+
+  /**
+   * The RUM timing of a soft navigation, based on the `vitals` of the
+   * navigation.
+   *
+   * @returns {Object|Null} The timing, or null when it's incomplete.
+   * @private
+   */
+  // eslint-disable-next-line complexity
+  navigationTiming() {
+    const vitals = this.vitals(),
+      unmount = this.get('domLoading'),
+      ended = !!this.navigation.status,
+      rendered = vitals.loadEventStart || null,
+      start = vitals.navigationStart,
+      end = vitals.loadEventEnd || (ended ? this.clock() : null),
+      rum = {};
+
+    //
+    // Navigations that ended early do not have to be rendered.
+    //
+    if (!start || !end || (!rendered && !ended)) return null;
+
+    //
+    // Start of the route loading.
+    //
+    [
+      'navigationStart',      // `routeChangeStart` event.
+      'fetchStart',           //
+      'domainLookupStart',    // These are all not trackable with Next
+      'domainLookupEnd',      // because we cannot hook into their component
+      'connectStart',         // download and getInitialProps.
+      'connectEnd',           //
+      'requestStart',         // So we are going to default all of these
+      'responseStart',        // to the start timing for now until we
+      'responseEnd'           // made a PR to add events for these.
+    ].forEach(name => (rum[name] = start));
+
+    //
+    // Components and data are fetched.
+    //
+    rum.domLoading = unmount && unmount.now ? unmount.now : null;
+
+    [
+      'domInteractive',       // Unable to measure, SPA's are always interactive
+      'domContentLoaded',     // Once the React app is rendered, it is loaded
+      'domComplete',          // and also complete, so use the same timing.
+      'loadEventStart'        // loadEventStart should be the same as domComplete
+    ].forEach(name => (rum[name] = rendered));
+
+    rum.loadEventEnd = end;
+
+    if (typeof vitals.renderDuration === 'number') {
+      rum.renderDuration = vitals.renderDuration;
+    }
+
+    //
+    // The shared `webVitals` are not bound to a navigation, now that we've
+    // used them they should not be attributed to the next navigation.
+    //
+    if (vitals === webVitals) {
+      ['navigationStart', 'loadEventStart', 'loadEventEnd', 'renderDuration'].forEach(
+        (name) => (vitals[name] = null)
+      );
+    }
+
+    return rum;
+  }
+
+  /**
+   * The RUM timing of the initial page load, based on the navigation timing
+   * of the document.
+   *
+   * @returns {Object|Null} The timing, or null when it's incomplete.
+   * @private
+   */
+  documentTiming() {
+    const rum = timing(this.perf),
+      ended = !!this.navigation.status,
+      vitals = webVitals;
+
+    if (!rum || !rum.navigationStart) return null;
+
+    //
+    // The document did not load yet, when the page load ended early, e.g.
+    // the page was hidden or a link was clicked, it's reported up until now.
+    //
+    if (!rum.loadEventEnd) {
+      if (!ended) return null;
+
+      rum.loadEventEnd = this.clock();
+    }
+
+    //
+    // Only Next.js knows the hydration, it reports it through `reportWebVitals`.
+    // The first render already happened before we're mounted, so we can't
+    // see it ourselves.
+    //
+    if (vitals.hydrationStart && typeof vitals.hydrationDuration === 'number') {
+      rum.hydrationStart = vitals.hydrationStart;
+      rum.hydrationDuration = vitals.hydrationDuration;
+    }
+
+    return rum;
+  }
+
+  /**
+   * Create the payload that is send to the callback.
+   *
+   * @param {String} reason The condition that ended the measurement.
+   * @returns {undefined} Nothing
+   * @private
+   */
+  payload(reason) {
+    if (!this.navigation) return this.reset();
+
+    const rum = this.navigation.hard ? this.documentTiming() : this.navigationTiming();
+    const payload = rum ? this.assemble(rum, reason) : null;
+
+    if (payload) this.dispatch(payload);
+    this.reset();
+  }
+
+  /**
+   * Assemble the payload of the navigation, and pass it through the plugins.
+   *
+   * @param {Object} rum The RUM timing of the navigation.
+   * @param {String} reason The condition that ended the measurement.
+   * @returns {Object|Null} The payload, or null when it's sampled out or
+   * filtered by a plugin.
+   * @private
+   */
+  assemble(rum, reason) {
+    //
+    // The path, and the names of the resources, can contain personal
+    // information so they are redacted before they leave the tracker.
+    //
+    const redact = pipeline(this.options.redact);
+    const path = redact(this.path());
+    const route = this.template(path);
+    const { id, hard, status, error } = this.navigation;
+
+    record(rum, { id, route }, this.perf);
+
+    //
+    // Navigations of sessions that are sampled out are not reported, so we
+    // can skip the work of gathering the resources.
+    //
+    const sampleRate = rate(this.options, route);
+
+    if (!sampled(sampleRate)) return null;
+
+    const plugins = this.options.plugins;
+    const payload = transform(plugins, {
+      id,
+      vitals: summarize(this.navigation),
+      data: this.data,
+      settled: reason || null,
+      status: status || 'complete',
+      phase: this.phase(),
+      error: serialize(error),
+      sampleRate,
+      hard,
+      ...this.measurements(rum, { redact, route }),
+      route: this.route(),
+      path
+    });
+
+    return filter(plugins, payload) ? payload : null;
+  }
+
+  /**
+   * Gather the measurements of the navigation for its payload.
+   *
+   * @param {Object} rum The RUM timing of the navigation.
+   * @param {Object} options How to measure it.
+   * @param {Function} options.redact Redacts the URLs.
+   * @param {String} options.route The route of the navigation.
+   * @returns {Object} The `rum`, `context`, `blocking`, `entries`, `marks`,
+   * `milestones` and `server` of the payload.
+   * @private
+   */
+  measurements(rum, { redact, route }) {
+    //
+    // Check if we can use the ResourceAPI to improvement some our data. The
+    // resources that started while the network settled are included, that's
+    // why we waited for it.
+    //
+    const resources = this.resourceTiming({
+      start: rum.navigationStart,
+      end: Math.max(rum.loadEventEnd, this.clock())
+    }, rum);
+    const server = this.server(resources, rum);
+    resources.forEach((entry) => (entry.name = redact(entry.name)));
+
+    const main = blocking(this.navigation);
+    main.scripts.forEach((script) => (script.url = redact(script.url)));
+
+    const milestones = { ...this.navigation.milestones };
+    this.missing().forEach((name) => (milestones[name] = null));
+
+    return {
+      rum: format(this.options.format, rum, {
+        hard: this.navigation.hard,
+        entries: resources,
+        origin: this.timeOrigin,
+        api: this.perf
+      }),
+      context: this.options.enrich ? enrich(this.navigation, route, this.perf) : null,
+      blocking: main,
+      entries: resources,
+      marks: gather({ start: rum.navigationStart, end: rum.loadEventEnd }, this.perf),
+      milestones,
+      server
+    };
+  }
+
+  /**
+   * Deliver the payload, or hand it to the queue, and notify the subscribers.
+   *
+   * @param {Object} payload The payload.
+   * @private
+   */
+  dispatch(payload) {
+    if (this.queue) this.queue.add(payload, this.transports());
+    else this.deliver(payload);
+
+    this.last = payload;
+    this.listeners.forEach((fn) => fn(payload));
+  }
+
+  /**
+   * The transports that deliver a payload, by name: the `navigated` callback,
+   * the reporter and the `send` hooks of the plugins. The queue only retries
+   * the transports that failed, a transport fails by throwing, or by returning
+   * `false` or a Promise that rejects.
+   *
+   * @returns {Object} The transports.
+   * @private
+   */
+  transports() {
+    const { navigated, plugins } = this.options;
+    const transports = {};
+
+    if (navigated) {
+      transports.navigated = (payload) => navigated(payload.path, payload.rum, payload.entries, payload);
+    }
+
+    if (this.reporter) transports.reporter = (payload) => this.reporter.push(payload);
+
+    return { ...transports, ...senders(plugins) };
+  }
+
+  /**
+   * Hand the payload to all the transports, once.
+   *
+   * @param {Object} payload The payload.
+   * @private
+   */
+  deliver(payload) {
+    const transports = this.transports();
+
+    Object.keys(transports).forEach((name) => {
+      const result = transports[name](payload);
+
+      //
+      // Without a queue there's nothing that retries a failed delivery, so
+      // it should not end up as unhandled rejection either.
+      //
+      if (result && typeof result.catch === 'function') result.catch(() => {});
+    });
+  }
+}
+
+/**
+ * Create a tracker that measures the navigations of a Next.js application.
+ * All its dependencies are explicit, so it can be used without React.
+ *
+ * @param {Object} options Configuration, all the props of `<Measure>` and:
+ * @param {Object} options.router The Next.js router, with its `events`.
+ * @param {Object} options.emitter The Next.js emitter with the render events.
+ * @param {Object} options.performance The performance API, defaults to the
+ * global `performance`.
+ * @param {Function} options.clock Returns the current EPOCH, defaults to
+ * `Date.now`.
+ * @param {Object} options.adapter Hooks into the navigation flow, defaults to
+ * the adapter that fits the `router` and `emitter` best.
+ * @param {Function} options.path Returns the path of the current page.
+ * @returns {Tracker} The tracker, call `connect` to start measuring.
+ * @public
+ */
+export default function createTracker(options) {
+  return new Tracker(options);
+}
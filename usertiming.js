@@ -0,0 +1,120 @@
+import purrformance, { timeOrigin } from './purrformance';
+
+/**
+ * The prefix of the marks and measures that we write, so they can be told
+ * apart from the marks and measures of the application.
+ *
+ * @type {String}
+ * @private
+ */
+const namespace = 'next-rum:';
+
+/**
+ * The phases of the navigation that are written as marks.
+ *
+ * @type {Array}
+ * @private
+ */
+const phases = ['navigationStart', 'domLoading', 'domContentLoaded', 'loadEventEnd'];
+
+/**
+ * The measures that we write, and the phases they start and end with.
+ *
+ * @type {Object}
+ * @private
+ */
+const measures = {
+  navigation: ['navigationStart', 'loadEventEnd'],
+  render: ['domLoading', 'domContentLoaded']
+};
+
+/**
+ * Write the phases of a navigation as User Timing marks and measures, so they
+ * show up in the Performance panel of the DevTools and other APM agents can
+ * pick them up. The marks are written with their original time, browsers that
+ * do not support User Timing Level 3 are ignored.
+ *
+ * @param {Object} rum The RUM timing, all values as EPOCH.
+ * @param {Object} detail Additional information, e.g. the `id` of the navigation.
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @public
+ */
+export function record(rum, detail, api = purrformance) {
+  const origin = timeOrigin(api);
+
+  if (!origin) return;
+
+  const relative = (name) => rum[name] - origin;
+  const known = (name) => typeof rum[name] === 'number' && rum[name] > 0;
+  const marks = phases.filter(known);
+
+  if (!marks.length) return;
+
+  try {
+    //
+    // User Timing Level 2 ignores the options of a mark and writes it at the
+    // current time, only Level 3 returns the entry with the time we asked
+    // for. There's no way to write a mark in the past, so we skip them all.
+    //
+    const first = marks[0];
+    const entry = api('mark', namespace + first, { startTime: relative(first), detail });
+
+    if (!entry || entry.startTime !== relative(first)) {
+      api('clearMarks', namespace + first);
+      return;
+    }
+
+    marks.slice(1).forEach((name) => {
+      api('mark', namespace + name, { startTime: relative(name), detail });
+    });
+
+    Object.keys(measures).forEach((name) => {
+      const [start, end] = measures[name];
+
+      if (!known(start) || !known(end)) return;
+
+      api('measure', namespace + name, { start: relative(start), end: relative(end), detail });
+    });
+  } catch (e) {
+    //
+    // Marks before the `timeOrigin` have a negative time, which the browser
+    // refuses, and the Level 2 `measure` throws when it receives the
+    // options instead of the name of a mark.
+    //
+  }
+}
+
+/**
+ * The marks and measures of the application that were recorded during the
+ * navigation. All values are in ms, relative to the start of the navigation.
+ *
+ * @param {Object} range The navigation.
+ * @param {Number} range.start EPOCH of the start of the navigation.
+ * @param {Number} range.end EPOCH of the end of the navigation.
+ * @param {Function} api Interacts with the performance API, see `bind`.
+ * @returns {Array} The `name`, `entryType`, `startTime`, `duration` and
+ * `detail` of the marks and measures.
+ * @public
+ */
+export function gather({ start, end }, api = purrformance) {
+  const origin = timeOrigin(api);
+
+  return ['mark', 'measure'].reduce((memo, type) => {
+    (api('getEntriesByType', type) || []).forEach((entry) => {
+      const time = origin + entry.startTime;
+
+      if (entry.entryType !== type || entry.name.indexOf(namespace) === 0) return;
+      if (time < start || time > end) return;
+
+      memo.push({
+        name: entry.name,
+        entryType: type,
+        startTime: time - start,
+        duration: entry.duration || 0,
+        detail: entry.detail || null
+      });
+    });
+
+    return memo;
+  }, []).sort((a, b) => a.startTime - b.startTime);
+}
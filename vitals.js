@@ -0,0 +1,65 @@
+import { timeOrigin } from './purrformance';
+import { find } from './navigations';
+
+/**
+ * The performance metrics as reported by the Next.js built in
+ * `reportWebVitals` function, when they could not be matched with a
+ * navigation. All values are EPOCH based, except for the durations.
+ *
+ * @type {Object}
+ * @public
+ */
+export const webVitals = {
+  navigationStart: null,
+  loadEventStart: null,
+  loadEventEnd: null,
+  renderDuration: null,
+  hydrationStart: null,
+  hydrationDuration: null
+};
+
+/**
+ * Handler for the Next.js `reportWebVitals` function, that fills the vitals of
+ * the navigation that was active when the metric started, or the `webVitals`
+ * when there is no such navigation, with the custom Next.js metrics. The times
+ * are converted to the clock of that navigation:
+ *
+ * - `Next.js-route-change-to-render`, Starts at `routeChangeStart` and ends
+ *   when the new page starts rendering.
+ * - `Next.js-render`, Starts when the page starts rendering and ends once it
+ *   has been rendered.
+ * - `Next.js-hydration`, Time it took to hydrate the initial page.
+ *
+ * Other metrics are ignored, so it's safe to pass all metrics.
+ *
+ * @param {Object} metric The metric that is reported by Next.js.
+ * @param {String} metric.name Name of the metric.
+ * @param {Number} metric.startTime High resolution start time of the metric.
+ * @param {Number} metric.value Duration of the metric.
+ * @public
+ */
+export function reportWebVitals({ name, startTime, value }) {
+  const navigation = find(startTime);
+  const start = (navigation ? navigation.origin : timeOrigin()) + startTime;
+  const vitals = navigation ? navigation.vitals : webVitals;
+
+  switch (name) {
+    case 'Next.js-route-change-to-render':
+      vitals.navigationStart = start;
+      break;
+
+    case 'Next.js-render':
+      vitals.loadEventStart = start + value;
+      vitals.loadEventEnd = start + value;
+      vitals.renderDuration = value;
+      break;
+
+    case 'Next.js-hydration':
+      webVitals.hydrationStart = start;
+      webVitals.hydrationDuration = value;
+      break;
+
+    default:
+      break;
+  }
+}
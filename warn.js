@@ -0,0 +1,26 @@
+/**
+ * The warnings that we've already shown.
+ *
+ * @type {Object}
+ * @private
+ */
+const warned = {};
+
+/**
+ * Show a warning during development, each warning is only shown once.
+ *
+ * @param {String} message The warning.
+ * @public
+ */
+export default function warn(message) {
+  if (
+    warned[message]
+    || typeof process === 'undefined'
+    || process.env.NODE_ENV === 'production' // eslint-disable-line no-process-env
+  ) return;
+
+  warned[message] = true;
+
+  // eslint-disable-next-line no-console
+  console.warn(`next-rum: ${message}`);
+}